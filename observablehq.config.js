@@ -1,13 +1,25 @@
 // See https://observablehq.com/framework/config for documentation.
 import MarkdownItFootnote from "markdown-it-footnote";
 import MarkdownItKatex from "markdown-it-katex";
+import MarkdownItCrossref from "./plugins/markdown-it-crossref.js";
+import MarkdownItCitations from "./plugins/markdown-it-citations.js";
+
+// Honour SOURCE_DATE_EPOCH so reproducible builds show a pinned date in the footer
+const buildDate = process.env.SOURCE_DATE_EPOCH
+  ? new Date(Number(process.env.SOURCE_DATE_EPOCH) * 1000)
+  : new Date();
 
 export default {
   // The app's title; used in the sidebar and webpage titles.
   title: "Research Report Publishing Platform",
   
-  // Configure markdown-it plugins
-  markdownIt: (md) => md.use(MarkdownItFootnote).use(MarkdownItKatex),
+  // Configure markdown-it plugins; see plugins/ for cross-references and citations.
+  // Citations are resolved against src/references.bib; style is "apa", "chicago" or "vancouver".
+  markdownIt: (md) => md
+    .use(MarkdownItFootnote)
+    .use(MarkdownItKatex)
+    .use(MarkdownItCrossref)
+    .use(MarkdownItCitations, {bibliography: "src/references.bib", style: "apa"}),
 
   // The pages and sections in the sidebar. If you don't specify this option,
   // all pages will be listed in alphabetical order. Listing pages explicitly
@@ -42,7 +54,7 @@ export default {
   // Some additional configuration options and their defaults:
   // theme: "default", // try "light", "dark", "slate", etc.
   // header: "", // what to show in the header (HTML)
-  footer: `Built with Observable Framework on ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}.`,
+  footer: `Built with Observable Framework on ${buildDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', ...(process.env.SOURCE_DATE_EPOCH ? { timeZone: 'UTC' } : {}) })}.`,
   // sidebar: true, // whether to show the sidebar
   // toc: true, // whether to show the table of contents
   // pager: true, // whether to show previous & next links in the footer
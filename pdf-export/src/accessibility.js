@@ -0,0 +1,124 @@
+// Helpers for tagged (accessible) PDFs. Chromium writes the structure tree
+// from the page's semantics, so these work on the DOM before printing.
+
+/**
+ * Give every chart and image in the page a text alternative, so Chromium tags
+ * it as a figure with alt text. Runs in the page through page.evaluate.
+ *
+ * Alt text comes from, in order: a data-alt attribute on the SVG or a wrapper,
+ * the SVG's aria-label (Plot's ariaLabel), the title, subtitle and caption of
+ * the enclosing <figure> (Plot's title/subtitle/caption), the SVG's <title>,
+ * then a numbered figure caption directly after the cell.
+ * @returns {Object} - { labelled, missing } where missing lists { kind, id, heading }
+ */
+export function labelFigures() {
+  const main = document.querySelector('#observablehq-main') || document.body;
+  const textOf = element => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+  const headings = Array.from(main.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+  const headingBefore = element => {
+    const preceding = headings.filter(heading =>
+      heading.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING);
+    return preceding.length > 0 ? textOf(preceding[preceding.length - 1]) : null;
+  };
+
+  const describe = svg => {
+    const wrapper = svg.closest('[data-alt]');
+    if (wrapper && wrapper.dataset.alt.trim()) return wrapper.dataset.alt.trim();
+
+    if (svg.getAttribute('aria-label')) return svg.getAttribute('aria-label').trim();
+    const labelledBy = (svg.getAttribute('aria-labelledby') || '').split(/\s+/)
+      .map(id => textOf(document.getElementById(id))).filter(Boolean).join(' ');
+    if (labelledBy) return labelledBy;
+
+    const figure = svg.closest('figure');
+    if (figure) {
+      const parts = [figure.querySelector(':scope > h2'), figure.querySelector(':scope > h3'), figure.querySelector(':scope > figcaption')]
+        .map(textOf).filter(Boolean);
+      if (parts.length > 0) return parts.join('. ');
+    }
+
+    const title = svg.querySelector(':scope > title');
+    if (textOf(title)) return textOf(title);
+
+    const cell = svg.closest('[id^="cell-"], .observablehq') || svg;
+    const next = cell.nextElementSibling;
+    if (next && next.matches('.crossref-caption.crossref-figure')) return textOf(next);
+    return null;
+  };
+
+  let labelled = 0;
+  const missing = [];
+
+  const svgs = Array.from(main.querySelectorAll('svg')).filter(svg =>
+    !svg.parentElement.closest('svg') && !svg.closest('[aria-hidden="true"], .qr-code-container'));
+  svgs.forEach(svg => {
+    // Icons and other small inline graphics are decorative
+    const box = svg.getBoundingClientRect();
+    if (box.width < 32 && box.height < 32) {
+      svg.setAttribute('aria-hidden', 'true');
+      return;
+    }
+
+    const alt = describe(svg);
+    if (alt) {
+      svg.setAttribute('role', 'img');
+      svg.setAttribute('aria-label', alt);
+      labelled++;
+    } else {
+      missing.push({ kind: 'chart', id: svg.id || null, heading: headingBefore(svg) });
+    }
+  });
+
+  // alt="" marks an image as decorative; no alt attribute at all is missing text
+  main.querySelectorAll('img:not([alt])').forEach(image => {
+    if (image.closest('[aria-hidden="true"], .qr-code-container')) return;
+    const wrapper = image.closest('[data-alt]');
+    if (wrapper && wrapper.dataset.alt.trim()) {
+      image.alt = wrapper.dataset.alt.trim();
+      labelled++;
+    } else {
+      missing.push({ kind: 'image', id: (image.getAttribute('src') || '').split('/').pop() || null, heading: headingBefore(image) });
+    }
+  });
+
+  return { labelled, missing };
+}
+
+/**
+ * Check that headings form an outline: one level-1 heading and no skipped
+ * levels. Runs in the page through page.evaluate.
+ * @returns {Array<string>} - Problems found, empty when the structure is sound
+ */
+export function checkHeadings() {
+  const main = document.querySelector('#observablehq-main') || document.body;
+  const headings = Array.from(main.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    .filter(heading => !heading.closest('figure, [aria-hidden="true"]'));
+  const issues = [];
+
+  const topLevel = headings.filter(heading => heading.tagName === 'H1');
+  if (topLevel.length === 0) {
+    issues.push('no level-1 heading');
+  } else if (topLevel.length > 1) {
+    issues.push(`${topLevel.length} level-1 headings`);
+  }
+
+  let previous = 0;
+  headings.forEach(heading => {
+    const level = Number(heading.tagName[1]);
+    if (previous && level > previous + 1) {
+      issues.push(`"${heading.textContent.trim()}" skips from h${previous} to h${level}`);
+    }
+    previous = level;
+  });
+
+  return issues;
+}
+
+/**
+ * Describe a figure from labelFigures' missing list for the audit
+ * @param {Object} figure - { kind, id, heading }
+ * @returns {string} - e.g. 'chart #sankey under "Funding Flows"'
+ */
+export function describeMissingFigure({ kind, id, heading }) {
+  return [kind, id && (kind === 'chart' ? `#${id}` : id), heading && `under "${heading}"`].filter(Boolean).join(' ');
+}
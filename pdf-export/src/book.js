@@ -0,0 +1,488 @@
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname, relative, sep } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { PDFDocument, PDFName, PDFHexString, PDFNumber, PDFString, StandardFonts, rgb } from 'pdf-lib';
+import { getNamedDestinations } from './crossref.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Caption kinds written by plugins/markdown-it-crossref.js, and their list settings
+const CAPTION_LISTS = {
+  fig: { setting: 'listOfFigures', title: 'List of Figures' },
+  tbl: { setting: 'listOfTables', title: 'List of Tables' }
+};
+
+export class BookBuilder {
+  constructor(config = {}) {
+    this.config = {
+      output: 'report.pdf',
+      cover: {},
+      toc: { title: 'Contents' },
+      ...config
+    };
+    this.stylesPath = join(__dirname, '..', 'config', 'book.css');
+    this.bookStyles = null;
+  }
+
+  async loadStyles() {
+    if (!this.bookStyles) {
+      this.bookStyles = await readFile(this.stylesPath, 'utf8');
+    }
+    return this.bookStyles;
+  }
+
+  /**
+   * Load the Observable Framework site configuration
+   * @param {string} siteConfigPath - Path to observablehq.config.js
+   * @returns {Promise<Object>} - The exported site configuration
+   */
+  async loadSiteConfig(siteConfigPath) {
+    const module = await import(pathToFileURL(siteConfigPath).href);
+    return module.default || {};
+  }
+
+  /**
+   * Flatten the sidebar `pages` array into an ordered list of entries
+   * @param {Array} pages - The `pages` option from observablehq.config.js
+   * @param {string|null} section - Name of the enclosing sidebar section
+   * @returns {Array<Object>} - Entries with name, path and section
+   */
+  flattenPages(pages = [], section = null) {
+    const entries = [];
+    for (const item of pages) {
+      if (Array.isArray(item.pages)) {
+        entries.push(...this.flattenPages(item.pages, item.name));
+      } else if (item.path) {
+        entries.push({ name: item.name, path: item.path, section });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Map a site path such as "/" or "/methods" to its built HTML file
+   * @param {string} pagePath - Path from the site configuration
+   * @param {string} distDir - The dist directory
+   * @returns {string|null} - Absolute HTML file path, or null if not built
+   */
+  resolvePageFile(pagePath, distDir) {
+    let cleanPath = pagePath.split(/[?#]/)[0].replace(/^\/+/, '');
+    if (cleanPath === '' || cleanPath.endsWith('/')) {
+      cleanPath += 'index';
+    }
+    cleanPath = cleanPath.replace(/\.html$/, '');
+
+    const filePath = join(distDir, `${cleanPath}.html`);
+    return existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Resolve the book's pages from the site configuration, in sidebar order
+   * @param {Object} siteConfig - The Observable Framework configuration
+   * @param {string} distDir - The dist directory
+   * @returns {Array<Object>} - Entries with their resolved HTML file
+   */
+  resolveEntries(siteConfig, distDir) {
+    const entries = this.flattenPages(siteConfig.pages);
+
+    // Framework always builds the home page even when it is not listed
+    if (!entries.some(entry => entry.path === '/' || entry.path === '/index')) {
+      entries.unshift({ name: 'Home', path: '/', section: null });
+    }
+
+    return entries.map(entry => ({
+      ...entry,
+      filePath: this.resolvePageFile(entry.path, distDir)
+    }));
+  }
+
+  escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Generate the HTML for the cover page
+   * @param {Object} siteConfig - The Observable Framework configuration
+   * @returns {Promise<string>} - HTML document
+   */
+  async generateCoverHTML(siteConfig) {
+    const styles = await this.loadStyles();
+    const cover = this.config.cover || {};
+    const title = cover.title || siteConfig.title || 'Report';
+    const date = cover.date || new Date().toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><style>${styles}</style></head>
+<body>
+  <section class="book-cover">
+    <h1 class="book-cover-title">${this.escapeHTML(title)}</h1>
+    ${cover.subtitle ? `<p class="book-cover-subtitle">${this.escapeHTML(cover.subtitle)}</p>` : ''}
+    ${cover.authors ? `<p class="book-cover-authors">${this.escapeHTML([].concat(cover.authors).join(', '))}</p>` : ''}
+    <p class="book-cover-date">${this.escapeHTML(date)}</p>
+  </section>
+</body>
+</html>`;
+  }
+
+  /**
+   * Generate the HTML for the table of contents
+   * @param {Array<Object>} entries - Rendered entries with `startPage` set
+   * @returns {Promise<string>} - HTML document
+   */
+  async generateTocHTML(entries) {
+    const styles = await this.loadStyles();
+    const tocTitle = (this.config.toc && this.config.toc.title) || 'Contents';
+    const rows = [];
+    let currentSection = null;
+
+    for (const entry of entries) {
+      if (entry.section !== currentSection) {
+        currentSection = entry.section;
+        if (currentSection) {
+          rows.push(`<li class="book-toc-section">${this.escapeHTML(currentSection)}</li>`);
+        }
+      }
+      const nested = entry.section ? ' book-toc-nested' : '';
+      rows.push(`<li class="book-toc-entry${nested}">
+        <span class="book-toc-name">${this.escapeHTML(entry.name)}</span>
+        <span class="book-toc-leader"></span>
+        <span class="book-toc-page">${entry.startPage ?? ''}</span>
+      </li>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><style>${styles}</style></head>
+<body>
+  <section class="book-toc">
+    <h1>${this.escapeHTML(tocTitle)}</h1>
+    <ol>${rows.join('\n')}</ol>
+  </section>
+</body>
+</html>`;
+  }
+
+  /**
+   * Caption kinds whose list is enabled in the book configuration
+   * @returns {Array<string>} - "fig" and/or "tbl"
+   */
+  getCaptionLists() {
+    return Object.keys(CAPTION_LISTS)
+      .filter(kind => this.config[CAPTION_LISTS[kind].setting] && this.config[CAPTION_LISTS[kind].setting].enabled);
+  }
+
+  /**
+   * Generate the HTML for a list of figures or tables, grouped by page
+   * @param {string} kind - "fig" or "tbl"
+   * @param {Array<Object>} entries - Rendered entries with `captions` and, once known, caption `page` numbers
+   * @returns {Promise<string>} - HTML document
+   */
+  async generateCaptionListHTML(kind, entries) {
+    const styles = await this.loadStyles();
+    const { setting, title: defaultTitle } = CAPTION_LISTS[kind];
+    const title = (this.config[setting] && this.config[setting].title) || defaultTitle;
+    const rows = [];
+
+    for (const entry of entries) {
+      const captions = (entry.captions || []).filter(caption => caption.kind === kind);
+      if (captions.length === 0) continue;
+
+      // Numbers restart on every page, as on the site, so each page is a group
+      rows.push(`<li class="book-toc-section">${this.escapeHTML(entry.name)}</li>`);
+      for (const caption of captions) {
+        // Links to the site page; merge() points them at the caption in the book
+        const href = `${pathToFileURL(entry.filePath).href}#${encodeURIComponent(caption.id)}`;
+        rows.push(`<li class="book-toc-entry book-toc-nested">
+        <a class="book-toc-name" href="${this.escapeHTML(href)}"><span class="book-caption-label">${this.escapeHTML(caption.label)}</span> ${this.escapeHTML(caption.text)}</a>
+        <span class="book-toc-leader"></span>
+        <span class="book-toc-page">${caption.page ?? ''}</span>
+      </li>`);
+      }
+    }
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><style>${styles}</style></head>
+<body>
+  <section class="book-toc book-caption-list">
+    <h1>${this.escapeHTML(title)}</h1>
+    <ol>${rows.join('\n')}</ol>
+  </section>
+</body>
+</html>`;
+  }
+
+  /**
+   * Count the pages of a rendered PDF
+   * @param {Uint8Array} pdfBytes - PDF data
+   * @returns {Promise<number>} - Page count
+   */
+  async countPages(pdfBytes) {
+    const doc = await PDFDocument.load(pdfBytes);
+    return doc.getPageCount();
+  }
+
+  /**
+   * Merge the cover, contents, lists of figures and tables, and page PDFs into a single document
+   * @param {Object} parts - { cover, toc, lists, entries } with PDF bytes
+   * @param {Object} options - { title, distDir }
+   * @returns {Promise<Uint8Array>} - The combined PDF
+   */
+  async merge({ cover, toc, lists = [], entries }, options = {}) {
+    const book = await PDFDocument.create();
+    const entryPages = [];
+
+    for (const bytes of [cover, toc, ...lists]) {
+      if (bytes) {
+        await this.appendPDF(book, bytes);
+      }
+    }
+
+    for (const entry of entries) {
+      const { pages, destinations } = await this.appendPDF(book, entry.pdf);
+      this.linkDestinations(pages, destinations);
+      entryPages.push({ entry, firstPage: pages[0], destinations });
+    }
+
+    if (options.distDir) {
+      this.linkEntries(book, entryPages, options.distDir);
+    }
+    this.addOutline(book, entryPages);
+    await this.stampPageNumbers(book, cover ? await this.countPages(cover) : 0);
+
+    if (options.title) {
+      book.setTitle(options.title);
+    }
+
+    return book.save();
+  }
+
+  /**
+   * Number every page after the cover continuously across the whole book
+   * @param {PDFDocument} book - The combined document
+   * @param {number} skip - Number of leading pages left unnumbered
+   */
+  async stampPageNumbers(book, skip = 0) {
+    const font = await book.embedFont(StandardFonts.Helvetica);
+    const pages = book.getPages();
+    const fontSize = 8;
+
+    pages.forEach((page, index) => {
+      if (index < skip) return;
+      const text = `Page ${index + 1} of ${pages.length}`;
+      const { width } = page.getSize();
+      page.drawText(text, {
+        x: width - 54 - font.widthOfTextAtSize(text, fontSize),
+        y: 36,
+        size: fontSize,
+        font,
+        color: rgb(0.4, 0.4, 0.4)
+      });
+    });
+  }
+
+  /**
+   * Copy every page of a PDF to the end of the book
+   * @param {PDFDocument} target - The combined document
+   * @param {Uint8Array} bytes - PDF data
+   * @returns {Promise<Object>} - { pages, destinations } where destinations maps the
+   *   source's named destinations (footnotes, captions, headings) to the copied pages
+   */
+  async appendPDF(target, bytes) {
+    const source = await PDFDocument.load(bytes);
+    const copied = await target.copyPages(source, source.getPageIndices());
+    copied.forEach(page => target.addPage(page));
+
+    // Named destinations live in the source catalog, which is not copied
+    const destinations = new Map();
+    for (const [name, { pageIndex, destination }] of getNamedDestinations(source)) {
+      destinations.set(name, target.context.obj([copied[pageIndex].ref, ...destination.asArray().slice(1)]));
+    }
+    return { pages: copied, destinations };
+  }
+
+  // Name of a named destination referenced by a link annotation, if any
+  destinationName(annot) {
+    let destination = annot.lookup(PDFName.of('Dest'));
+    if (!destination) {
+      const action = annot.lookup(PDFName.of('A'));
+      destination = action && action.lookup(PDFName.of('S')) === PDFName.of('GoTo') && action.lookup(PDFName.of('D'));
+    }
+    return destination instanceof PDFName || destination instanceof PDFString || destination instanceof PDFHexString
+      ? destination.decodeText()
+      : null;
+  }
+
+  /**
+   * Point links inside a page at explicit destinations, since the book has no
+   * named destinations of its own
+   * @param {Array<PDFPage>} pages - Pages copied from one entry
+   * @param {Map<string, PDFArray>} destinations - Destinations from appendPDF
+   */
+  linkDestinations(pages, destinations) {
+    for (const page of pages) {
+      const annots = page.node.Annots();
+      if (!annots) continue;
+
+      for (let i = 0; i < annots.size(); i++) {
+        const annot = annots.lookup(i);
+        const name = annot && this.destinationName(annot);
+        if (name === null || !destinations.has(name)) continue;
+
+        annot.delete(PDFName.of('A'));
+        annot.set(PDFName.of('Dest'), destinations.get(name));
+      }
+    }
+  }
+
+  /**
+   * Normalise a link target into a site path comparable across pages
+   * @param {string} uri - URI from a link annotation
+   * @param {string} distDir - The dist directory
+   * @returns {string|null} - Site path such as "/methods", or null
+   */
+  uriToSitePath(uri, distDir) {
+    if (!uri.startsWith('file://')) {
+      return null;
+    }
+
+    let filePath;
+    try {
+      filePath = fileURLToPath(uri.split('#')[0]);
+    } catch {
+      return null;
+    }
+
+    const relativePath = relative(distDir, filePath);
+    if (relativePath.startsWith('..')) {
+      return null;
+    }
+
+    const sitePath = '/' + relativePath.split(sep).join('/')
+      .replace(/\.html$/, '')
+      .replace(/(^|\/)index$/, '$1');
+    return sitePath.length > 1 ? sitePath.replace(/\/$/, '') : sitePath;
+  }
+
+  uriFragment(uri) {
+    const index = uri.indexOf('#');
+    if (index < 0) return null;
+    try {
+      return decodeURIComponent(uri.slice(index + 1));
+    } catch {
+      return uri.slice(index + 1);
+    }
+  }
+
+  /**
+   * Rewrite links between pages into internal links to the target page, or
+   * to the element the link's fragment names when that page has it
+   */
+  linkEntries(book, entryPages, distDir) {
+    const targets = new Map();
+    for (const { entry, firstPage, destinations } of entryPages) {
+      if (entry.filePath) {
+        const sitePath = this.uriToSitePath(pathToFileURL(entry.filePath).href, distDir);
+        targets.set(sitePath, { firstPage, destinations });
+      }
+    }
+
+    for (const page of book.getPages()) {
+      const annots = page.node.Annots();
+      if (!annots) continue;
+
+      for (let i = 0; i < annots.size(); i++) {
+        const annot = annots.lookup(i);
+        const action = annot && annot.lookup(PDFName.of('A'));
+        const uri = action && action.lookup(PDFName.of('URI'));
+        if (!uri) continue;
+
+        const target = targets.get(this.uriToSitePath(uri.decodeText(), distDir));
+        if (!target) continue;
+
+        const fragment = this.uriFragment(uri.decodeText());
+        const destination = (fragment && target.destinations && target.destinations.get(fragment))
+          || book.context.obj([target.firstPage.ref, PDFName.of('Fit')]);
+        annot.delete(PDFName.of('A'));
+        annot.set(PDFName.of('Dest'), destination);
+      }
+    }
+  }
+
+  /**
+   * Add PDF bookmarks, nesting pages under their sidebar section
+   */
+  addOutline(book, entryPages) {
+    const tree = [];
+    const sections = new Map();
+
+    for (const { entry, firstPage } of entryPages) {
+      const item = { title: entry.name, page: firstPage, children: [] };
+      if (!entry.section) {
+        tree.push(item);
+        continue;
+      }
+      if (!sections.has(entry.section)) {
+        const section = { title: entry.section, page: firstPage, children: [] };
+        sections.set(entry.section, section);
+        tree.push(section);
+      }
+      sections.get(entry.section).children.push(item);
+    }
+
+    if (tree.length === 0) return;
+
+    const outlinesRef = book.context.nextRef();
+    const [first, last, count] = this.buildOutlineItems(book, tree, outlinesRef);
+    book.context.assign(outlinesRef, book.context.obj({
+      Type: 'Outlines',
+      First: first,
+      Last: last,
+      Count: PDFNumber.of(count)
+    }));
+    book.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    book.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+  }
+
+  buildOutlineItems(book, items, parentRef) {
+    const refs = items.map(() => book.context.nextRef());
+    let count = items.length;
+
+    items.forEach((item, index) => {
+      const dict = {
+        Title: PDFHexString.fromText(item.title),
+        Parent: parentRef,
+        Dest: book.context.obj([item.page.ref, PDFName.of('Fit')])
+      };
+      if (index > 0) dict.Prev = refs[index - 1];
+      if (index < items.length - 1) dict.Next = refs[index + 1];
+
+      if (item.children.length > 0) {
+        const [first, last, childCount] = this.buildOutlineItems(book, item.children, refs[index]);
+        dict.First = first;
+        dict.Last = last;
+        dict.Count = PDFNumber.of(childCount);
+        count += childCount;
+      }
+
+      book.context.assign(refs[index], book.context.obj(dict));
+    });
+
+    return [refs[0], refs[refs.length - 1], count];
+  }
+}
@@ -0,0 +1,149 @@
+import { createHash } from 'crypto';
+import { readFile, readdir, writeFile, access } from 'fs/promises';
+import { dirname, join, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const SOURCE_DIR = dirname(fileURLToPath(import.meta.url));
+
+// Observable Framework output directories whose files a page depends on
+const ASSET_PATTERN = /["'(]((?:\.{1,2}\/)*_(?:import|npm|file)\/[^"'()\s?#]+)/g;
+
+export class ExportCache {
+  constructor(manifestPath, distDir, options = {}) {
+    this.manifestPath = manifestPath;
+    this.distDir = distDir;
+    this.exporter = options.exporter || '';
+    this.manifest = { version: 1, files: {} };
+    this.assetHashes = new Map();
+  }
+
+  async load() {
+    try {
+      const content = await readFile(this.manifestPath, 'utf8');
+      const manifest = JSON.parse(content);
+      if (manifest.version === this.manifest.version && manifest.files) {
+        this.manifest = manifest;
+      }
+    } catch {
+      // No manifest yet (or an unreadable one): every page is rendered
+    }
+    return this;
+  }
+
+  async save() {
+    await writeFile(this.manifestPath, JSON.stringify(this.manifest, null, 2));
+  }
+
+  /**
+   * Find the _import, _npm and _file assets referenced by an HTML page
+   * @param {string} html - Page HTML
+   * @param {string} filePath - Path of the HTML file
+   * @returns {Array<string>} - Sorted absolute asset paths
+   */
+  findAssets(html, filePath) {
+    const assets = new Set();
+    for (const [, assetPath] of html.matchAll(ASSET_PATTERN)) {
+      assets.add(resolve(dirname(filePath), assetPath));
+    }
+    return Array.from(assets).sort();
+  }
+
+  async hashAsset(assetPath) {
+    if (!this.assetHashes.has(assetPath)) {
+      let hash;
+      try {
+        hash = createHash('sha256').update(await readFile(assetPath)).digest('hex');
+      } catch {
+        hash = 'missing';
+      }
+      this.assetHashes.set(assetPath, hash);
+    }
+    return this.assetHashes.get(assetPath);
+  }
+
+  /**
+   * Hash everything that determines a page's PDF
+   * @param {string} filePath - Path of the HTML file
+   * @param {Object} inputs - Resolved settings and styles, hashed as JSON
+   * @returns {Promise<string>} - Content hash
+   */
+  async computeHash(filePath, inputs = {}) {
+    const html = await readFile(filePath, 'utf8');
+    const hash = createHash('sha256');
+
+    hash.update(`${this.exporter}\n`);
+    hash.update(html);
+    for (const assetPath of this.findAssets(html, filePath)) {
+      hash.update(`\n${relative(this.distDir, assetPath)}:${await this.hashAsset(assetPath)}`);
+    }
+    hash.update(`\n${JSON.stringify(inputs)}`);
+
+    return hash.digest('hex');
+  }
+
+  key(filePath) {
+    return relative(this.distDir, filePath);
+  }
+
+  /**
+   * Check whether a page's PDF is up to date with its inputs
+   * @param {string} filePath - Path of the HTML file
+   * @param {string} hash - Current content hash
+   * @param {string} outputPath - Path of the PDF
+   * @returns {Promise<boolean>} - True if the page can be skipped
+   */
+  async isFresh(filePath, hash, outputPath) {
+    const entry = this.manifest.files[this.key(filePath)];
+    if (!entry || entry.hash !== hash) {
+      return false;
+    }
+
+    try {
+      await access(outputPath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  record(filePath, hash, outputPath) {
+    this.manifest.files[this.key(filePath)] = {
+      hash,
+      output: relative(dirname(this.manifestPath), outputPath),
+      renderedAt: new Date().toISOString()
+    };
+  }
+
+  // Drop entries for pages that are no longer part of the export
+  prune(filePaths) {
+    const keep = new Set(filePaths.map(filePath => this.key(filePath)));
+    for (const key of Object.keys(this.manifest.files)) {
+      if (!keep.has(key)) {
+        delete this.manifest.files[key];
+      }
+    }
+  }
+}
+
+/**
+ * Identify the exporter's own code and the browser it prints with, so that
+ * upgrading either re-renders every page
+ * @param {string} browserVersion - e.g. "HeadlessChrome/131.0.6778.204"
+ * @returns {Promise<string>} - Hash passed to ExportCache as `exporter`
+ */
+export async function getExporterVersion(browserVersion) {
+  const hash = createHash('sha256');
+  const { version } = JSON.parse(await readFile(join(SOURCE_DIR, '..', 'package.json'), 'utf8'));
+  hash.update(`${version}\n${browserVersion}`);
+
+  const sources = (await readdir(SOURCE_DIR)).filter(file => file.endsWith('.js')).sort();
+  for (const file of sources) {
+    hash.update(`\n${file}:`);
+    hash.update(await readFile(join(SOURCE_DIR, file)));
+  }
+  return hash.digest('hex');
+}
+
+export function getManifestPath(outputDir) {
+  return join(outputDir, '.pdf-export-manifest.json');
+}
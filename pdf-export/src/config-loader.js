@@ -0,0 +1,223 @@
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, basename, extname, join, relative } from 'path';
+import { configSchema, validateConfig, ConfigValidationError } from './config-schema.js';
+
+const ENV_PREFIX = 'PDF_EXPORT_';
+
+// Selects config.<env>.json rather than overriding a setting
+const ENV_NAME_VARIABLE = 'PDF_EXPORT_ENV';
+
+// Lowest layer: what the exporter uses when config.json says nothing
+export const BUILT_IN_DEFAULTS = {
+  defaults: {
+    format: 'A4',
+    margin: { top: '20mm', right: '15mm', bottom: '20mm', left: '15mm' },
+    printBackground: true,
+    preferCSSPageSize: true,
+    displayHeaderFooter: false,
+    timeout: 30000
+  },
+  documents: {},
+  styles: [],
+  themes: {},
+  excludeFiles: ['_observablehq', '404.html'],
+  retries: 0,
+  reproducible: {
+    enabled: false,
+    renderDate: null,
+    seed: 1
+  },
+  accessibility: {
+    enabled: false,
+    language: 'en',
+    outline: true
+  },
+  pdfa: {
+    enabled: false
+  },
+  metadata: {
+    authors: null,
+    keywords: [],
+    doi: null
+  },
+  preprocess: {
+    enabled: true,
+    transforms: []
+  },
+  tables: {
+    expand: true,
+    split: true,
+    wide: 'auto',
+    minFontSize: 6,
+    continuedLabel: '(continued)'
+  },
+  waitConditions: {
+    waitForSVGs: true,
+    waitForImages: true,
+    additionalWaitTime: 2000
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge `source` into a copy of `target`; objects merge key by key, anything else replaces
+ * @param {Object} target - Lower layer
+ * @param {Object} source - Higher layer
+ * @returns {Object} - The merged configuration
+ */
+export function mergeConfig(target, source) {
+  const merged = structuredClone(target);
+  for (const [key, value] of Object.entries(source)) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? mergeConfig(merged[key], value)
+      : structuredClone(value);
+  }
+  return merged;
+}
+
+// "0", "true", "null" and JSON arrays/objects are typed; anything else stays a string
+export function parseValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function setPath(config, path, value) {
+  let target = config;
+  path.slice(0, -1).forEach(key => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  });
+  target[path[path.length - 1]] = value;
+  return config;
+}
+
+/**
+ * Map an environment variable name to a config path using the schema's keys,
+ * e.g. PDF_EXPORT_QR_CODE__BASE_URL → ['qrCode', 'baseUrl']
+ * @param {string} name - Variable name, including the PDF_EXPORT_ prefix
+ * @returns {Array<string>} - Config path
+ */
+export function envNameToPath(name) {
+  let schema = configSchema;
+  return name.slice(ENV_PREFIX.length).split('__').map(segment => {
+    const normalized = segment.replace(/_/g, '').toLowerCase();
+    const key = schema?.properties && Object.keys(schema.properties)
+      .find(candidate => candidate.toLowerCase() === normalized);
+
+    if (key) {
+      schema = schema.properties[key];
+      return key;
+    }
+    if (schema?.additionalProperties) {
+      // Free-form keys such as document types: DASHBOARD, EXAMPLE_DASHBOARD
+      schema = schema.additionalProperties;
+      return segment.toLowerCase().replace(/_/g, '-');
+    }
+    // Unknown keys are kept so validation can report them
+    schema = null;
+    return segment.toLowerCase().replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+  });
+}
+
+/**
+ * Parse a --set override
+ * @param {string} override - "key.path=value"
+ * @returns {Object} - { path, value }
+ */
+export function parseOverride(override) {
+  const index = override.indexOf('=');
+  if (index <= 0) {
+    throw new Error(`Invalid --set "${override}" (expected key.path=value)`);
+  }
+  return {
+    path: override.slice(0, index).trim().split('.'),
+    value: parseValue(override.slice(index + 1))
+  };
+}
+
+// Path of the environment-specific file next to the base config
+export function getEnvironmentConfigPath(configPath, env) {
+  const extension = extname(configPath);
+  return join(dirname(configPath), `${basename(configPath, extension)}.${env}${extension}`);
+}
+
+async function readConfigFile(configPath) {
+  const content = await readFile(configPath, 'utf8');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${relative(process.cwd(), configPath)}: ${error.message}`);
+  }
+}
+
+// Each layer is checked on its own so errors name the file, variable or flag
+function assertValidLayer(layer, source) {
+  const issues = validateConfig(layer);
+  if (issues.length > 0) {
+    throw new ConfigValidationError(issues, source);
+  }
+}
+
+/**
+ * Resolve the configuration from its layers, lowest first: built-in defaults,
+ * config.json (or an in-memory config), config.<env>.json, PDF_EXPORT_*
+ * environment variables and --set overrides
+ * @param {Object} options - { configPath, config, env, overrides, environment }
+ * @returns {Promise<Object>} - { config, sources } with the layers that were applied
+ */
+export async function loadConfig(options = {}) {
+  const {
+    configPath,
+    config: inMemoryConfig = null,
+    overrides = [],
+    environment = process.env
+  } = options;
+  const env = options.env || environment[ENV_NAME_VARIABLE] || null;
+
+  let config = structuredClone(BUILT_IN_DEFAULTS);
+  const sources = ['built-in defaults'];
+
+  const applyLayer = (layer, source) => {
+    assertValidLayer(layer, source);
+    config = mergeConfig(config, layer);
+    sources.push(source);
+  };
+
+  if (inMemoryConfig) {
+    applyLayer(inMemoryConfig, 'config');
+  } else {
+    applyLayer(await readConfigFile(configPath), relative(process.cwd(), configPath));
+
+    if (env) {
+      // A missing file would silently export with the base settings, e.g. production URLs
+      const envConfigPath = getEnvironmentConfigPath(configPath, env);
+      if (!existsSync(envConfigPath)) {
+        throw new Error(`Environment "${env}" was requested but ${relative(process.cwd(), envConfigPath)} does not exist`);
+      }
+      applyLayer(await readConfigFile(envConfigPath), relative(process.cwd(), envConfigPath));
+    }
+  }
+
+  const envNames = Object.keys(environment)
+    .filter(name => name.startsWith(ENV_PREFIX) && name !== ENV_NAME_VARIABLE)
+    .sort();
+  if (envNames.length > 0) {
+    const layer = {};
+    envNames.forEach(name => setPath(layer, envNameToPath(name), parseValue(environment[name])));
+    applyLayer(layer, `environment (${envNames.join(', ')})`);
+  }
+
+  for (const override of overrides) {
+    const { path, value } = parseOverride(override);
+    applyLayer(setPath({}, path, value), `--set ${override}`);
+  }
+
+  return { config, env, sources };
+}
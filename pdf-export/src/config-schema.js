@@ -0,0 +1,307 @@
+// Declared shape of config/config.json, checked when the converter starts
+
+const PAPER_FORMATS = [
+  'letter', 'legal', 'tabloid', 'ledger',
+  'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6'
+];
+
+const length = { type: ['string', 'number'] };
+
+const pageSettings = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: PAPER_FORMATS, caseInsensitive: true },
+    landscape: { type: 'boolean' },
+    margin: {
+      type: 'object',
+      properties: { top: length, right: length, bottom: length, left: length }
+    },
+    printBackground: { type: 'boolean' },
+    preferCSSPageSize: { type: 'boolean' },
+    displayHeaderFooter: { type: 'boolean' },
+    timeout: { type: 'number', minimum: 0 },
+    headerTemplate: { type: 'string' },
+    footerTemplate: { type: 'string' },
+    headerFooterOnFirstPage: { type: 'boolean' },
+    theme: { type: 'string' }
+  }
+};
+
+const themeSettings = {
+  type: 'object',
+  properties: {
+    description: { type: 'string' },
+    extends: { type: 'string' },
+    styles: { type: 'array', items: { type: 'string' } },
+    page: pageSettings
+  }
+};
+
+const qrSettings = {
+  enabled: { type: 'boolean' },
+  baseUrl: { type: ['string', 'null'] },
+  width: { type: 'number', minimum: 1 },
+  margin: { type: 'number', minimum: 0 },
+  errorCorrectionLevel: { type: 'string', enum: ['L', 'M', 'Q', 'H'] },
+  colors: {
+    type: 'object',
+    properties: { dark: { type: 'string' }, light: { type: 'string' } }
+  },
+  position: {
+    type: 'object',
+    properties: { class: { type: 'string' }, title: { type: 'string' } }
+  },
+  caption: { type: 'boolean' },
+  target: { type: 'string', enum: ['page', 'doi'] },
+  pagesDomains: { type: 'object', additionalProperties: { type: 'string' } },
+  preserveExtension: { type: 'boolean' },
+  preserveIndex: { type: 'boolean' },
+  utm: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      source: { type: 'string' },
+      medium: { type: 'string' },
+      campaign: { type: 'string' }
+    }
+  }
+};
+
+const preprocessSettings = {
+  remove: { type: 'array', items: { type: 'string' } },
+  transforms: { type: 'array', items: { type: 'string' } }
+};
+
+// Contents and lists of figures and tables in the combined PDF
+const listSettings = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    title: { type: 'string' }
+  }
+};
+
+export const configSchema = {
+  type: 'object',
+  properties: {
+    defaults: pageSettings,
+    documents: {
+      type: 'object',
+      additionalProperties: pageSettings
+    },
+    styles: { type: 'array', items: { type: 'string' } },
+    themes: {
+      type: 'object',
+      additionalProperties: themeSettings
+    },
+    book: {
+      type: 'object',
+      properties: {
+        output: { type: 'string' },
+        cover: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            title: { type: ['string', 'null'] },
+            subtitle: { type: ['string', 'null'] },
+            authors: { type: ['string', 'array', 'null'] },
+            date: { type: ['string', 'null'] }
+          }
+        },
+        toc: listSettings,
+        listOfFigures: listSettings,
+        listOfTables: listSettings
+      }
+    },
+    retries: { type: 'integer', minimum: 0 },
+    reproducible: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        renderDate: { type: ['string', 'null'] },
+        seed: { type: 'integer' }
+      }
+    },
+    accessibility: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        language: { type: 'string' },
+        outline: { type: 'boolean' }
+      }
+    },
+    pdfa: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' }
+      }
+    },
+    metadata: {
+      type: 'object',
+      properties: {
+        authors: { type: ['string', 'array', 'null'] },
+        keywords: { type: ['string', 'array'] },
+        doi: { type: ['string', 'null'] }
+      }
+    },
+    excludeFiles: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    preprocess: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        ...preprocessSettings,
+        documents: {
+          type: 'object',
+          additionalProperties: { type: 'object', properties: preprocessSettings }
+        }
+      }
+    },
+    tables: {
+      type: 'object',
+      properties: {
+        expand: { type: 'boolean' },
+        split: { type: 'boolean' },
+        wide: { type: 'string', enum: ['auto', 'landscape', 'shrink', 'none'] },
+        minFontSize: { type: 'number', minimum: 1 },
+        continuedLabel: { type: 'string' }
+      }
+    },
+    waitConditions: {
+      type: 'object',
+      properties: {
+        waitForSVGs: { type: 'boolean' },
+        waitForImages: { type: 'boolean' },
+        additionalWaitTime: { type: 'number', minimum: 0 }
+      }
+    },
+    qrCode: {
+      type: 'object',
+      properties: {
+        ...qrSettings,
+        documents: {
+          type: 'object',
+          additionalProperties: { type: 'object', properties: qrSettings }
+        }
+      }
+    }
+  }
+};
+
+export class ConfigValidationError extends Error {
+  constructor(issues, source = 'config') {
+    const lines = issues.map(issue => `  - ${issue.path}: ${issue.message}`);
+    super(`Invalid ${source}:\n${lines.join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.issues = issues;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Edit distance, used to suggest the key the author probably meant
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+export function suggest(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = levenshtein(String(value), candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  // Only suggest reasonably close matches
+  const length = String(value).length;
+  return bestDistance < length && bestDistance <= Math.max(2, Math.floor(length / 3)) ? best : null;
+}
+
+function joinPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}["${key}"]`;
+}
+
+function validateNode(value, schema, path, issues) {
+  const types = [].concat(schema.type);
+  if (!types.some(type => matchesType(value, type))) {
+    issues.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && typeof value === 'string') {
+    const candidates = schema.caseInsensitive ? schema.enum.map(option => option.toLowerCase()) : schema.enum;
+    const needle = schema.caseInsensitive ? value.toLowerCase() : value;
+    if (!candidates.includes(needle)) {
+      const hint = suggest(value, schema.enum);
+      issues.push({
+        path,
+        message: `"${value}" is not one of ${schema.enum.join(', ')}${hint ? ` (did you mean "${hint}"?)` : ''}`
+      });
+    }
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    issues.push({ path, message: `must be at least ${schema.minimum}, got ${value}` });
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, issues));
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.additionalProperties)) {
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = joinPath(path, key);
+      if (schema.properties && schema.properties[key]) {
+        validateNode(child, schema.properties[key], childPath, issues);
+      } else if (schema.additionalProperties) {
+        validateNode(child, schema.additionalProperties, childPath, issues);
+      } else {
+        const hint = suggest(key, Object.keys(schema.properties));
+        issues.push({
+          path: childPath,
+          message: `unknown key${hint ? ` (did you mean "${hint}"?)` : ''}`
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Check a configuration object against the schema
+ * @param {Object} config - Parsed configuration
+ * @param {Object} schema - Schema to check against
+ * @returns {Array<Object>} - Issues as { path, message }; empty when valid
+ */
+export function validateConfig(config, schema = configSchema) {
+  const issues = [];
+  validateNode(config, schema, 'config', issues);
+  return issues;
+}
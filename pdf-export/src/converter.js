@@ -1,12 +1,28 @@
-import puppeteer from 'puppeteer';
+import puppeteer, { PUPPETEER_REVISIONS } from 'puppeteer';
 import { glob } from 'glob';
-import { readFile, stat } from 'fs/promises';
-import { join, dirname } from 'path';
+import { readFile, writeFile, stat } from 'fs/promises';
+import { join, dirname, relative, resolve } from 'path';
 import { fileURLToPath } from 'url';
-import { program } from 'commander';
+import { program, Option } from 'commander';
 import { HTMLPreprocessor } from './preprocessor.js';
-import { StyleManager } from './styler.js';
+import { StyleManager, addDocumentClasses } from './styler.js';
 import { QRGenerator } from './qr-generator.js';
+import { BookBuilder } from './book.js';
+import { readFrontmatter, getPDFMetadata } from './frontmatter.js';
+import { applyPDFMetadata, countPDFPages, normalizePDF } from './metadata.js';
+import { convertToPDFA, checkPDFA } from './pdfa.js';
+import { resolveRenderDate, seedMathRandom } from './reproducible.js';
+import { freezeInputs } from './input-snapshots.js';
+import { installTableExpansion, layoutTables, getPrintableArea } from './tables.js';
+import { collectCaptions, addCaptionDestinations, insertCaptionLists, getDestinationPages } from './crossref.js';
+import { getHeaderFooterStyles } from './header-footer.js';
+import { ExportCache, getManifestPath, getExporterVersion } from './cache.js';
+import { PagePool } from './page-pool.js';
+import { ExportReport } from './report.js';
+import { loadConfig } from './config-loader.js';
+import { resolveBaseUrl, getDOIUrl } from './site-url.js';
+import { labelFigures, checkHeadings, describeMissingFigure } from './accessibility.js';
+import { enablePrintMode } from './print-mode.js';
 import { 
   Logger, 
   ensureDirectory, 
@@ -14,47 +30,103 @@ import {
   generateOutputPath, 
   shouldExclude,
   delay,
+  runWithConcurrency,
   formatBytes,
   formatDuration
 } from './utils.js';
-import { execSync } from 'child_process';
+import { EventEmitter } from 'events';
+import { existsSync } from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-class PDFConverter {
+// Page printed for each theme by `pdf-export themes`
+const THEME_SAMPLE = join(__dirname, '..', 'config', 'themes', 'sample.html');
+
+/**
+ * Converts Observable Framework pages to PDF.
+ *
+ * Emits `page:start`, `page:finish`, `progress` and `warning` events.
+ */
+export class PDFConverter extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.distDir = options.distDir || join(__dirname, '..', '..', 'dist');
     this.outputDir = options.outputDir || join(__dirname, '..', 'output');
+    this.srcDir = options.srcDir || join(this.distDir, '..', 'src');
     this.configPath = options.configPath || join(__dirname, '..', 'config', 'config.json');
     
-    this.preprocessor = new HTMLPreprocessor();
+    this.preprocessor = new HTMLPreprocessor({ transforms: options.transforms });
     this.styleManager = new StyleManager();
-    this.qrGenerator = new QRGenerator();
-    this.logger = new Logger(options.verbose !== false);
+    this.qrGenerator = new QRGenerator({ distDir: this.distDir });
+    this.logger = options.logger || new Logger(options.verbose !== false, options.silent === true);
+    
+    // 'file' writes PDFs to the output directory, 'buffer' returns them in the results
+    this.output = options.output || 'file';
+    this.shouldCopyToSource = options.copyToSource !== false && this.output === 'file';
     
+    this.initialConfig = options.config || null;
+    this.env = options.env || null;
+    this.overrides = options.overrides || [];
     this.config = null;
-    this.browser = null;
+    this.configSources = [];
+    // A browser passed in by the caller is reused and left open
+    this.browser = options.browser || null;
+    this.ownsBrowser = !options.browser;
+    this.results = [];
+    this.report = new ExportReport({ baseDir: join(this.distDir, '..') });
+    this.frontmatter = new Map();
+    this.siteConfig = null;
+    this.siteSections = null;
+    this.warnedTypes = new Set();
+    this.warnedThemes = new Set();
+    this.projectStyles = [];
+    this.seededPages = new WeakSet();
+    this.renderDate = null;
+    this.renderDateSource = null;
     this.stats = {
       total: 0,
       successful: 0,
       failed: 0,
+      skipped: 0,
       startTime: Date.now()
     };
   }
 
   async init() {
     try {
-      // Load configuration
-      const configContent = await readFile(this.configPath, 'utf8');
-      this.config = JSON.parse(configContent);
-      
-      // Auto-detect GitHub Pages URL if not provided
-      if (this.config.qrCode && this.config.qrCode.enabled && !this.config.qrCode.baseUrl) {
-        const detectedUrl = this.getGitHubPagesUrl();
-        if (detectedUrl) {
-          this.config.qrCode.baseUrl = detectedUrl;
-          this.logger.info(`Auto-detected GitHub Pages URL: ${detectedUrl}`);
+      // Merge built-in defaults, config files, environment variables and --set overrides
+      const { config, sources } = await loadConfig({
+        configPath: this.configPath,
+        config: this.initialConfig,
+        env: this.env,
+        overrides: this.overrides
+      });
+      this.config = config;
+      this.configSources = sources;
+      
+      if (this.config.preprocess && this.config.preprocess.remove) {
+        this.preprocessor.elementsToRemove = this.config.preprocess.remove;
+      }
+      
+      await this.loadThemes();
+      
+      const renderDate = resolveRenderDate(this.config.reproducible, { cwd: join(this.distDir, '..') });
+      this.renderDate = renderDate.date;
+      this.renderDateSource = renderDate.source;
+      
+      // Find the site URL for QR codes if not provided
+      if (this.config.qrCode && this.config.qrCode.enabled) {
+        const { url, source } = resolveBaseUrl(this.config.qrCode, {
+          srcDir: this.srcDir,
+          distDir: this.distDir,
+          cwd: join(this.distDir, '..')
+        });
+        if (url && source !== 'config') {
+          this.config.qrCode.baseUrl = url;
+          this.logger.info(`QR code base URL: ${url} (from ${source})`);
+        } else if (!url) {
+          this.warn('QR codes are enabled but no site URL was found; set qrCode.baseUrl or add a CNAME file. Only pages with a DOI will get a QR code.');
         }
       }
       
@@ -64,6 +136,16 @@ class PDFConverter {
       this.logger.info('PDF Converter initialized');
       this.logger.info(`Input directory: ${this.distDir}`);
       this.logger.info(`Output directory: ${this.outputDir}`);
+      this.logger.info(`Configuration: ${this.configSources.join(' → ')}`);
+      if (this.renderDateSource !== 'now') {
+        this.logger.info(`Render date: ${this.renderDate.toISOString()} (from ${this.renderDateSource})`);
+      }
+      if (this.isReproducible()) {
+        this.logger.info(`Reproducible output: Math.random seeded with ${this.config.reproducible.seed}`);
+        if (this.renderDateSource === 'now') {
+          this.warn('Reproducible output without a pinned date; set SOURCE_DATE_EPOCH or reproducible.renderDate');
+        }
+      }
       
     } catch (error) {
       this.logger.error(`Failed to initialize: ${error.message}`);
@@ -71,45 +153,35 @@ class PDFConverter {
     }
   }
 
-  getGitHubPagesUrl() {
-    try {
-      // Get the git remote origin URL
-      const remoteUrl = execSync('git config --get remote.origin.url', { encoding: 'utf8' }).trim();
-      
-      if (!remoteUrl) {
-        this.logger.warn('No git remote origin found');
-        return null;
-      }
-      
-      // Parse GitHub repository information
-      // Supports both HTTPS and SSH URLs
-      let match;
-      if (remoteUrl.startsWith('https://github.com/')) {
-        // HTTPS: https://github.com/username/repository.git
-        match = remoteUrl.match(/https:\/\/github\.com\/([^\/]+)\/([^\/\.]+)/);
-      } else if (remoteUrl.startsWith('git@github.com:')) {
-        // SSH: git@github.com:username/repository.git
-        match = remoteUrl.match(/git@github\.com:([^\/]+)\/([^\/\.]+)/);
-      }
-      
-      if (!match) {
-        this.logger.warn('Could not parse GitHub repository from remote URL');
-        return null;
+  // Load the print themes and the project's own CSS files, failing early on a missing file or unknown theme
+  async loadThemes() {
+    const configDir = dirname(this.configPath);
+    const themes = await this.styleManager.loadThemes(this.config.themes, configDir);
+    
+    this.projectStyles = (this.config.styles || []).map(path => resolve(configDir, path));
+    this.projectStyles.forEach(path => {
+      if (!existsSync(path)) {
+        throw new Error(`Style file ${path} not found`);
       }
-      
-      const [, username, repository] = match;
-      
-      // Check if this is a user/org GitHub Pages site (username.github.io repo)
-      if (repository.toLowerCase() === `${username.toLowerCase()}.github.io`) {
-        return `https://${username.toLowerCase()}.github.io`;
+    });
+    
+    const selected = [['defaults', this.config.defaults.theme]]
+      .concat(Object.entries(this.config.documents).map(([type, settings]) => [`documents.${type}`, settings.theme]));
+    for (const [key, name] of selected) {
+      if (name && !themes.has(name)) {
+        throw new Error(`Unknown theme "${name}" in ${key}; available themes: ${[...themes.keys()].join(', ')}`);
       }
-      
-      // Standard project GitHub Pages URL
-      return `https://${username.toLowerCase()}.github.io/${repository}`;
-      
-    } catch (error) {
-      this.logger.warn(`Could not auto-detect GitHub Pages URL: ${error.message}`);
-      return null;
+    }
+  }
+
+  // Log a warning and record it against the file being converted, or the export as a whole
+  warn(message, warnings = null, filePath = null) {
+    this.logger.warn(message);
+    this.emit('warning', { message, filePath });
+    if (warnings) {
+      warnings.push(message);
+    } else {
+      this.report.addWarning(message);
     }
   }
 
@@ -118,291 +190,803 @@ class PDFConverter {
     const files = await glob(pattern);
     
     // Filter out excluded files
-    const filteredFiles = files.filter(file => 
-      !shouldExclude(file, this.config.excludeFiles)
-    );
+    const filteredFiles = [];
+    for (const file of files) {
+      if (shouldExclude(file, this.config.excludeFiles)) continue;
+      
+      // Pages can opt out of PDF generation with `pdf: false`
+      const frontmatter = await this.loadFrontmatter(file);
+      if (frontmatter.pdf === false) {
+        this.logger.info(`Skipping ${file} (pdf: false in frontmatter)`);
+        continue;
+      }
+      
+      filteredFiles.push(file);
+    }
     
     this.logger.info(`Found ${filteredFiles.length} HTML files to convert`);
     return filteredFiles;
   }
 
-  getPageConfig(filePath) {
-    const documentType = getDocumentType(filePath);
-    const specificConfig = this.config.documents[documentType] || {};
+  /**
+   * Resolve a page given as an absolute path, a path relative to the dist
+   * directory, or a site path such as "/methods"
+   * @param {string} file - Page to convert
+   * @returns {string} - Absolute HTML file path
+   */
+  resolveInputFile(file) {
+    if (file.endsWith('.html')) {
+      // Absolute, relative to the working directory, or relative to dist
+      for (const candidate of [resolve(file), join(this.distDir, file)]) {
+        if (existsSync(candidate)) return candidate;
+      }
+    }
+    
+    return new BookBuilder().resolvePageFile(file, this.distDir) || resolve(file);
+  }
+
+  async loadFrontmatter(filePath) {
+    if (!this.frontmatter.has(filePath)) {
+      this.frontmatter.set(filePath, await readFrontmatter(filePath, this.distDir, this.srcDir));
+    }
+    return this.frontmatter.get(filePath);
+  }
+
+  getPageConfig(filePath, frontmatter = {}) {
+    const { documentType, documentsEntry, pageConfig } = this.resolvePageConfig(filePath, frontmatter);
+    
+    if (frontmatter.type && !documentsEntry && !this.warnedTypes.has(documentType)) {
+      this.warnedTypes.add(documentType);
+      this.warn(`No "documents.${documentType}" entry in config for type "${documentType}", using defaults`);
+    }
+    
+    if (frontmatter.theme && !this.styleManager.resolveTheme(frontmatter.theme) && !this.warnedThemes.has(frontmatter.theme)) {
+      this.warnedThemes.add(frontmatter.theme);
+      this.warn(`Unknown theme "${frontmatter.theme}" in frontmatter, using ${pageConfig.theme ? `"${pageConfig.theme}"` : 'the base styles'}`);
+    }
+    
+    return pageConfig;
+  }
+
+  /**
+   * Resolve the page settings for a file and record where they came from
+   * @param {string} filePath - HTML file
+   * @param {Object} frontmatter - Page frontmatter
+   * @returns {Object} - { documentType, documentsEntry, frontmatterConfig, pageConfig }
+   */
+  resolvePageConfig(filePath, frontmatter = {}) {
+    const documentType = getDocumentType(filePath, frontmatter);
+    const specificConfig = this.config.documents[documentType];
+    
+    // Frontmatter page settings override the document type settings
+    const frontmatterConfig = {};
+    if (frontmatter.format) frontmatterConfig.format = frontmatter.format;
+    if (typeof frontmatter.landscape === 'boolean') frontmatterConfig.landscape = frontmatter.landscape;
+    if (frontmatter.theme && this.styleManager.resolveTheme(frontmatter.theme)) frontmatterConfig.theme = frontmatter.theme;
+    
+    // A theme's page settings override the defaults and the levels below the one
+    // that chose it, so a document type can set both a theme and its own paper size
+    const layers = [this.config.defaults, specificConfig, frontmatterConfig];
+    const level = frontmatterConfig.theme ? 2 : specificConfig && specificConfig.theme ? 1 : 0;
+    const theme = this.styleManager.resolveTheme(layers[level].theme);
+    if (theme) {
+      layers.splice(Math.max(level, 1), 0, theme.page);
+    }
+    
+    return {
+      documentType,
+      documentsEntry: specificConfig ? `documents.${documentType}` : null,
+      frontmatterConfig,
+      pageConfig: Object.assign({}, ...layers)
+    };
+  }
+
+  /**
+   * Resolved configuration, optionally with the settings for one page
+   * @param {string} file - Page to resolve (HTML file or site path), or null
+   * @returns {Promise<Object>} - Layers, configuration and page settings
+   */
+  async getResolvedConfig(file = null) {
+    if (!this.config) {
+      await this.init();
+    }
+    
+    const resolved = { layers: this.configSources, config: this.config };
+    if (file) {
+      const filePath = this.resolveInputFile(file);
+      const frontmatter = await this.loadFrontmatter(filePath);
+      const { documentType, documentsEntry, frontmatterConfig, pageConfig } = this.resolvePageConfig(filePath, frontmatter);
+      resolved.page = {
+        file: relative(join(this.distDir, '..'), filePath),
+        documentType,
+        documentsEntry,
+        frontmatter: frontmatterConfig,
+        pageConfig
+      };
+    }
+    return resolved;
+  }
+
+  getRenderDate() {
+    return (this.renderDate || new Date()).toLocaleDateString('en-US', { 
+      year: 'numeric', 
+      month: 'long', 
+      day: 'numeric',
+      // A pinned date must not shift with the machine's time zone
+      ...(this.renderDateSource && this.renderDateSource !== 'now' ? { timeZone: 'UTC' } : {})
+    });
+  }
+
+  isReproducible() {
+    return Boolean(this.config.reproducible && this.config.reproducible.enabled);
+  }
+
+  isAccessible() {
+    return Boolean(this.config.accessibility && this.config.accessibility.enabled);
+  }
+
+  isPDFA() {
+    return Boolean(this.config.pdfa && this.config.pdfa.enabled);
+  }
+
+  // Post-process a rendered PDF into PDF/A-2b and report what still fails the local checks
+  async toPDFA(pdf, metadata, filePath = null, warnings = null) {
+    const archived = await convertToPDFA(pdf, metadata, { date: this.renderDate });
+    const violations = await checkPDFA(archived);
+    const name = filePath ? relative(this.distDir, filePath) : 'the combined PDF';
+    violations.forEach(violation => {
+      this.warn(`PDF/A-2b: ${violation} in ${name}`, warnings, filePath);
+    });
+    if (violations.length === 0) {
+      this.logger.info(`PDF/A-2b checks passed for ${name}`);
+    }
+    return archived;
+  }
+
+  // Title for headers and metadata: frontmatter, then the page's first heading
+  async getPageTitle(page, frontmatter = {}) {
+    if (frontmatter.title) return String(frontmatter.title);
     
+    return page.evaluate(() => {
+      const heading = document.querySelector('#observablehq-main h1, main h1, h1');
+      return heading ? heading.textContent.trim() : document.title;
+    });
+  }
+
+  // The site's observablehq.config.js, or {} when there is none or it fails to load
+  getSiteConfig() {
+    if (!this.siteConfig) {
+      const siteConfigPath = join(this.distDir, '..', 'observablehq.config.js');
+      this.siteConfig = existsSync(siteConfigPath)
+        ? new BookBuilder().loadSiteConfig(siteConfigPath).catch(error => {
+          this.logger.warn(`Could not read site configuration: ${error.message}`);
+          return {};
+        })
+        : Promise.resolve({});
+    }
+    return this.siteConfig;
+  }
+
+  // Map each built page to its sidebar section name from observablehq.config.js
+  async getSiteSection(filePath) {
+    if (!this.siteSections) {
+      this.siteSections = new Map();
+      try {
+        const siteConfig = await this.getSiteConfig();
+        for (const entry of new BookBuilder().resolveEntries(siteConfig, this.distDir)) {
+          if (entry.filePath && entry.section) {
+            this.siteSections.set(entry.filePath, entry.section);
+          }
+        }
+      } catch (error) {
+        this.logger.warn(`Could not read site sections: ${error.message}`);
+      }
+    }
+    return this.siteSections.get(filePath) || '';
+  }
+
+  // QR code settings for a document type. Page URLs follow the site's
+  // preserveExtension and preserveIndex options unless qrCode sets its own.
+  async getQRConfig(documentType) {
+    const qrCode = this.config.qrCode || {};
+    const siteConfig = await this.getSiteConfig();
     return {
-      ...this.config.defaults,
-      ...specificConfig
+      preserveExtension: Boolean(siteConfig.preserveExtension),
+      preserveIndex: Boolean(siteConfig.preserveIndex),
+      ...qrCode,
+      ...(qrCode.documents && qrCode.documents[documentType] || {})
     };
   }
 
-  async convertFile(filePath) {
-    const startTime = Date.now();
-    let page;
+  async getHeaderFooter(filePath, page, prepared) {
+    const { pageConfig, frontmatter, documentType } = prepared;
+    const templates = `${pageConfig.headerTemplate || ''}${pageConfig.footerTemplate || ''}`;
+    if (!templates) {
+      return null;
+    }
     
-    try {
-      this.logger.info(`Converting: ${filePath}`);
-      
-      // Create new page
-      page = await this.browser.newPage();
-      
-      // Set viewport for consistent rendering
-      await page.setViewport({
-        width: 1200,
-        height: 800,
-        deviceScaleFactor: 2
-      });
-      
-      // Get configuration first
-      const documentType = getDocumentType(filePath);
-      const pageConfig = this.getPageConfig(filePath);
+    const qrConfig = await this.getQRConfig(documentType);
+    
+    return getHeaderFooterStyles(pageConfig, {
+      title: await this.getPageTitle(page, frontmatter),
+      date: this.getRenderDate(),
+      section: templates.includes('{{section}}') ? await this.getSiteSection(filePath) : '',
+      url: this.qrGenerator.generatePageURL(filePath, qrConfig) || ''
+    });
+  }
+
+  async ensureBrowser() {
+    if (!this.browser) {
+      this.browser = await this.launchBrowser();
+    }
+    return this.browser;
+  }
+
+  async closeBrowser() {
+    if (this.browser && this.ownsBrowser) {
+      await this.browser.close();
+      this.browser = null;
+    }
+  }
+
+  async launchBrowser() {
+    return puppeteer.launch({
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-web-security',
+        '--font-render-hinting=none'
+      ]
+    });
+  }
+
+  getPDFOptions(pageConfig) {
+    return {
+      format: pageConfig.format,
+      landscape: pageConfig.landscape,
+      margin: pageConfig.margin,
+      printBackground: pageConfig.printBackground,
+      preferCSSPageSize: pageConfig.preferCSSPageSize,
+      displayHeaderFooter: pageConfig.displayHeaderFooter,
+      ...(this.isAccessible() ? { tagged: true, outline: this.config.accessibility.outline !== false } : {})
+    };
+  }
+
+  /**
+   * Inject the print styles after page load: base styles, theme and project
+   * CSS, the render date and the page size and margins
+   * @param {Page} page - Puppeteer page
+   * @param {Object} pageConfig - Resolved page settings, including the theme
+   * @param {string} documentType - Document type, added as a body class
+   */
+  async applyStyles(page, pageConfig, documentType) {
+    const layers = await this.getStyleLayers(pageConfig);
+    for (const content of layers) {
+      await page.addStyleTag({ content });
+    }
+    
+    // Inject current date for footer
+    const today = this.getRenderDate();
+    await page.addStyleTag({ 
+      content: `:root { --render-date: "${today}"; }` 
+    });
+    
+    const pageStyles = this.styleManager.generatePageStyles(pageConfig);
+    if (pageStyles) {
+      await page.addStyleTag({ content: pageStyles });
+    }
+    
+    await page.evaluate(addDocumentClasses, { documentType, theme: pageConfig.theme });
+  }
+
+  async getStyleLayers(pageConfig) {
+    return this.styleManager.loadStyleLayers(this.styleManager.resolveTheme(pageConfig.theme), this.projectStyles);
+  }
+
+  // Load a file into a page and apply styles, QR code and wait conditions so it is ready to print;
+  // options.captionLists: false leaves out the page's own lists of figures and tables (the book has its own)
+  async preparePage(filePath, page, warnings = [], options = {}) {
+    // Set viewport for consistent rendering
+    await page.setViewport({
+      width: 1200,
+      height: 800,
+      deviceScaleFactor: 2
+    });
+    
+    // Get configuration first
+    const frontmatter = await this.loadFrontmatter(filePath);
+    const documentType = getDocumentType(filePath, frontmatter);
+    const pageConfig = this.getPageConfig(filePath, frontmatter);
+    
+    // Seed Math.random before any Observable cell runs; pooled pages keep the script
+    if (this.isReproducible() && !this.seededPages.has(page)) {
+      await page.evaluateOnNewDocument(seedMathRandom, this.config.reproducible.seed);
+      this.seededPages.add(page);
+    }
+    
+    // Navigate to the file URL to properly load all resources and execute JavaScript
+    const fileUrl = `file://${filePath}`;
+    await page.goto(fileUrl, {
+      waitUntil: ['networkidle0', 'domcontentloaded'],
+      timeout: pageConfig.timeout || 30000
+    });
+    
+    // Language for hyphenation and the PDF's /Lang: frontmatter, then the page's own
+    // <html lang>, then accessibility.language
+    const language = String(frontmatter.lang || frontmatter.language ||
+      await page.evaluate(() => document.documentElement.getAttribute('lang')) ||
+      this.config.accessibility.language || 'en');
+    await page.evaluate(lang => {
+      document.documentElement.setAttribute('lang', lang);
+    }, language);
+    
+    await this.applyStyles(page, pageConfig, documentType);
+    
+    // Generate and inject QR code if enabled
+    if (this.config.qrCode && this.config.qrCode.enabled) {
+      try {
+        // Get QR code configuration for this document type
+        const qrConfig = { ...await this.getQRConfig(documentType), doi: frontmatter.doi || null };
+        if (qrConfig.doi && !getDOIUrl(qrConfig.doi)) {
+          this.warn(`Ignoring invalid DOI "${qrConfig.doi}" in frontmatter`, warnings, filePath);
+        }
+        
+        // Generate QR code data URL
+        let qrDataUrl = null;
+        try {
+          qrDataUrl = await this.qrGenerator.generateForFile(filePath, qrConfig);
+        } catch (error) {
+          this.warn(`Failed to generate QR code: ${error.message}`, warnings, filePath);
+        }
+        
+        if (qrDataUrl) {
+          // Generate the URL for the hyperlink
+          const url = this.qrGenerator.generateURL(filePath, qrConfig);
+          const caption = qrConfig.caption ? this.qrGenerator.shortURL(url) : null;
+          
+          // Inject QR code into the page
+          const injectionScript = this.qrGenerator.generateInjectionScript(
+            qrDataUrl,
+            url,
+            qrConfig.position || {},
+            caption
+          );
+          await page.evaluate(injectionScript);
+          this.logger.info('QR code injected successfully');
+        }
+      } catch (error) {
+        this.warn(`Failed to inject QR code: ${error.message}`, warnings, filePath);
+      }
+    }
+    
+    // Wait for Observable Framework to finish rendering
+    await page.waitForFunction(() => {
+      // Check if Observable loading indicators are gone
+      const loadingElements = document.querySelectorAll('observablehq-loading');
+      if (loadingElements.length > 0) return false;
       
-      // Navigate to the file URL to properly load all resources and execute JavaScript
-      const fileUrl = `file://${filePath}`;
-      await page.goto(fileUrl, {
-        waitUntil: ['networkidle0', 'domcontentloaded'],
-        timeout: pageConfig.timeout || 30000
-      });
+      // Check if SVGs have been rendered (they should have content)
+      const svgs = document.querySelectorAll('svg');
+      if (svgs.length === 0) {
+        // If no SVGs yet, check if there are Observable cell placeholders
+        const cells = document.querySelectorAll('[id^="cell-"]');
+        return cells.length === 0 || Array.from(cells).every(cell => cell.children.length > 0);
+      }
       
-      // Set lang attribute for better hyphenation support
-      await page.evaluate(() => {
-        document.documentElement.setAttribute('lang', 'en');
+      return Array.from(svgs).every(svg => svg.children.length > 0);
+    }, { timeout: 30000 }).catch(() => {
+      this.warn(`Observable render timeout for ${filePath}`, warnings, filePath);
+    });
+    
+    // Components re-render their static print variant. This is done before page.pdf
+    // and before snapshots, table layout and alt text, so those see the printed charts
+    await page.evaluate(enablePrintMode, { width: getPrintableArea(pageConfig).width });
+    
+    // Let tables (including those in input snapshots) load all of their rows
+    if (this.config.tables.expand) {
+      await page.evaluate(installTableExpansion);
+    }
+    
+    // Set inputs from frontmatter and render snapshot regions once per input value
+    const pdfSettings = frontmatter.pdf && typeof frontmatter.pdf === 'object' ? frontmatter.pdf : {};
+    const inputs = await page.evaluate(freezeInputs, pdfSettings.inputs || {});
+    inputs.missing.forEach(name => {
+      this.warn(`No input labelled "${name}" found in ${relative(this.distDir, filePath)}`, warnings, filePath);
+    });
+    if (inputs.set.length > 0) {
+      this.logger.info(`Set input(s) from frontmatter: ${inputs.set.join(', ')}`);
+    }
+    inputs.snapshots.forEach(({ input, values }) => {
+      this.logger.info(`Rendered ${values.length} snapshot(s) of "${input}": ${values.join(', ')}`);
+    });
+    
+    // Strip site UI and apply configured transforms in the rendered page
+    if (this.config.preprocess && this.config.preprocess.enabled !== false) {
+      await this.preprocessPage(filePath, page, documentType, warnings);
+    }
+    
+    // Cross-references and citations the site build could not resolve are left as "@name"
+    const unresolved = await page.evaluate(() =>
+      Array.from(document.querySelectorAll('.crossref-missing, .citation-missing')).map(element => element.textContent.trim()));
+    if (unresolved.length > 0) {
+      this.warn(`Unresolved cross-reference(s) or citation(s) in ${relative(this.distDir, filePath)}: ${unresolved.join(', ')}`, warnings, filePath);
+    }
+    
+    // Lists of figures and tables requested with pdf.listOfFigures / pdf.listOfTables
+    const captionLists = options.captionLists === false ? [] : [
+      { kind: 'fig', setting: pdfSettings.listOfFigures, title: 'List of Figures' },
+      { kind: 'tbl', setting: pdfSettings.listOfTables, title: 'List of Tables' }
+    ].filter(({ setting }) => setting).map(({ kind, setting, title }) => ({
+      kind,
+      title: typeof setting === 'string' ? setting : title
+    }));
+    if (captionLists.length > 0) {
+      const listed = await page.evaluate(insertCaptionLists, captionLists);
+      this.logger.info(`Listed ${listed} figure and table caption(s)`);
+    }
+    
+    // Expand, split and fit tables to the page
+    const tableInfo = await page.evaluate(layoutTables, {
+      ...this.config.tables,
+      page: getPrintableArea(pageConfig),
+      landscape: getPrintableArea(pageConfig, true)
+    });
+    if (tableInfo.length > 0) {
+      this.logger.info(`Found ${tableInfo.length} table(s):`);
+      tableInfo.forEach(({ index, rows, small, wide, fontSize, pages }) => {
+        const notes = [small ? 'marked as small' : 'large table'];
+        if (wide) notes.push(`wide: ${wide}${fontSize ? ` at ${fontSize}pt` : ''}`);
+        if (pages > 1) notes.push(`split over ${pages} pages`);
+        this.logger.info(`  Table ${index}: ${rows} rows (${notes.join(', ')})`);
       });
-      
-      // Inject custom styles after page load
-      const styles = await this.styleManager.loadStyles();
-      await page.addStyleTag({ content: styles });
-      
-      // Inject current date for footer
-      const today = new Date().toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
+    }
+    
+    // Log visualization count for debugging
+    const svgCount = await page.evaluate(() => document.querySelectorAll('svg').length);
+    if (svgCount > 0) {
+      this.logger.info(`Found ${svgCount} SVG visualization(s)`);
+    }
+    
+    // Alt text for charts and a heading outline Chromium can tag
+    let missingAltText = [];
+    if (this.isAccessible()) {
+      const figures = await page.evaluate(labelFigures);
+      missingAltText = figures.missing.map(describeMissingFigure);
+      if (figures.labelled > 0) {
+        this.logger.info(`Added alt text to ${figures.labelled} figure(s)`);
+      }
+      missingAltText.forEach(figure => {
+        this.warn(`No alt text for ${figure} in ${relative(this.distDir, filePath)}`, warnings, filePath);
       });
-      await page.addStyleTag({ 
-        content: `:root { --render-date: "${today}"; }` 
+      const headingIssues = await page.evaluate(checkHeadings);
+      headingIssues.forEach(issue => {
+        this.warn(`Heading structure in ${relative(this.distDir, filePath)}: ${issue}`, warnings, filePath);
       });
+    }
+    
+    // Wait for any async content
+    if (this.config.waitConditions) {
+      const { waitForSVGs, waitForImages, additionalWaitTime } = this.config.waitConditions;
       
-      // Apply page-specific styles if needed
-      if (pageConfig) {
-        const pageStyles = this.styleManager.generatePageStyles(pageConfig);
-        if (pageStyles) {
-          await page.addStyleTag({ content: pageStyles });
-        }
+      if (waitForSVGs) {
+        await page.waitForFunction(() => {
+          const svgs = document.querySelectorAll('svg');
+          return Array.from(svgs).every(svg => 
+            svg.children.length > 0 || svg.hasAttribute('data-rendered')
+          );
+        }, { timeout: 10000 }).catch(() => {
+          this.warn(`SVG wait timeout for ${filePath}`, warnings, filePath);
+        });
       }
       
-      // Automatically detect and mark small tables (6 rows or less)
-      const tableInfo = await page.evaluate(() => {
-        const results = [];
-        document.querySelectorAll('table').forEach((table, index) => {
-          const rowCount = table.querySelectorAll('tr').length;
-          if (rowCount <= 6) {
-            table.classList.add('small-table');
-            results.push(`Table ${index + 1}: ${rowCount} rows (marked as small)`);
-          } else {
-            results.push(`Table ${index + 1}: ${rowCount} rows (large table)`);
-          }
+      if (waitForImages) {
+        await page.waitForFunction(() => {
+          const images = document.querySelectorAll('img');
+          return Array.from(images).every(img => img.complete);
+        }, { timeout: 10000 }).catch(() => {
+          this.warn(`Image wait timeout for ${filePath}`, warnings, filePath);
         });
-        return results;
-      });
-      
-      // Log table detection results
-      if (tableInfo.length > 0) {
-        this.logger.info(`Found ${tableInfo.length} table(s):`);
-        tableInfo.forEach(info => this.logger.info(`  ${info}`));
       }
       
-      // Generate and inject QR code if enabled
-      if (this.config.qrCode && this.config.qrCode.enabled) {
-        try {
-          // Get QR code configuration for this document type
-          const qrConfig = {
-            ...this.config.qrCode,
-            ...(this.config.qrCode.documents && this.config.qrCode.documents[documentType] || {})
-          };
-          
-          // Generate QR code data URL
-          const qrDataUrl = await this.qrGenerator.generateForFile(filePath, qrConfig);
-          
-          if (qrDataUrl) {
-            // Generate the URL for the hyperlink
-            const url = this.qrGenerator.generateURL(filePath, qrConfig);
-            
-            // Inject QR code into the page
-            const injectionScript = this.qrGenerator.generateInjectionScript(
-              qrDataUrl,
-              url,
-              qrConfig.position || {}
-            );
-            await page.evaluate(injectionScript);
-            this.logger.info('QR code injected successfully');
-          }
-        } catch (error) {
-          this.logger.warn(`Failed to inject QR code: ${error.message}`);
-        }
+      if (additionalWaitTime) {
+        await delay(additionalWaitTime);
       }
+    }
+    
+    return { page, pageConfig, documentType, frontmatter, language, missingAltText };
+  }
+
+  /**
+   * Run the preprocessing stage with the settings for a document type
+   * @param {string} filePath - HTML file
+   * @param {Page} page - Rendered page
+   * @param {string} documentType - Document type, for per-document additions
+   * @param {Array<string>} warnings - Warnings for this file
+   */
+  async preprocessPage(filePath, page, documentType, warnings = []) {
+    const settings = this.config.preprocess;
+    const documentSettings = (settings.documents && settings.documents[documentType]) || {};
+    
+    const { removed, invalid, transformed, unknown } = await this.preprocessor.processPage(page, {
+      remove: documentSettings.remove,
+      transforms: [...(settings.transforms || []), ...(documentSettings.transforms || [])],
+      context: { filePath, documentType, config: this.config }
+    });
+    
+    invalid.forEach(selector => this.warn(`Invalid preprocess selector "${selector}"`, warnings, filePath));
+    unknown.forEach(name => this.warn(`Unknown preprocess transform "${name}"`, warnings, filePath));
+    if (removed.length > 0) {
+      this.logger.info(`Removed ${removed.map(({ selector, count }) => `${count} × ${selector}`).join(', ')}`);
+    }
+    transformed.forEach(({ name, count }) => {
+      this.logger.info(`Applied ${name}${count !== null ? ` (${count} element(s))` : ''}`);
+    });
+  }
+
+  getRetries(options = {}) {
+    if (options.retries !== undefined) return options.retries;
+    return this.config.retries || 0;
+  }
+
+  // Convert one file on a pooled page, retrying on a fresh page if it fails
+  async convertFile(filePath, pool, options = {}) {
+    const startTime = Date.now();
+    const retries = this.getRetries(options);
+    const warnings = [];
+    this.emit('page:start', { filePath });
+    
+    for (let attempt = 1; ; attempt++) {
+      let page = null;
       
-      // Wait for Observable Framework to finish rendering
-      await page.waitForFunction(() => {
-        // Check if Observable loading indicators are gone
-        const loadingElements = document.querySelectorAll('observablehq-loading');
-        if (loadingElements.length > 0) return false;
+      try {
+        // Opening a page rejects if Chrome has crashed; that fails this file, not the batch
+        page = await pool.acquire();
+        this.logger.info(`Converting: ${filePath}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+        const { outputPath, pdf, size, pages, missingAltText } = await this.renderFile(filePath, page, warnings);
+        pool.release(page);
         
-        // Check if SVGs have been rendered (they should have content)
-        const svgs = document.querySelectorAll('svg');
-        if (svgs.length === 0) {
-          // If no SVGs yet, check if there are Observable cell placeholders
-          const cells = document.querySelectorAll('[id^="cell-"]');
-          return cells.length === 0 || Array.from(cells).every(cell => cell.children.length > 0);
-        }
+        const duration = Date.now() - startTime;
+        this.logger.success(`Generated: ${outputPath || relative(this.distDir, filePath)} (${formatBytes(size)}) in ${formatDuration(duration)}`);
+        this.stats.successful++;
         
-        return Array.from(svgs).every(svg => svg.children.length > 0);
-      }, { timeout: 30000 }).catch(() => {
-        this.logger.warn(`Observable render timeout for ${filePath}`);
-      });
-      
-      // Log visualization count for debugging
-      const svgCount = await page.evaluate(() => document.querySelectorAll('svg').length);
-      if (svgCount > 0) {
-        this.logger.info(`Found ${svgCount} SVG visualization(s)`);
-      }
-      
-      // Wait for any async content
-      if (this.config.waitConditions) {
-        const { waitForSVGs, waitForImages, additionalWaitTime } = this.config.waitConditions;
+        const result = { filePath, outputPath, pdf, size, pages, duration, attempts: attempt, warnings, missingAltText, success: true };
+        this.emit('page:finish', result);
+        return result;
         
-        if (waitForSVGs) {
-          await page.waitForFunction(() => {
-            const svgs = document.querySelectorAll('svg');
-            return Array.from(svgs).every(svg => 
-              svg.children.length > 0 || svg.hasAttribute('data-rendered')
-            );
-          }, { timeout: 10000 }).catch(() => {
-            this.logger.warn(`SVG wait timeout for ${filePath}`);
-          });
-        }
+      } catch (error) {
+        // A page that failed mid-render may be left in a broken state
+        if (page) await pool.destroy(page);
         
-        if (waitForImages) {
-          await page.waitForFunction(() => {
-            const images = document.querySelectorAll('img');
-            return Array.from(images).every(img => img.complete);
-          }, { timeout: 10000 }).catch(() => {
-            this.logger.warn(`Image wait timeout for ${filePath}`);
-          });
+        if (attempt <= retries) {
+          this.warn(`Failed to convert ${filePath}: ${error.message}, retrying with a fresh page`, warnings, filePath);
+          continue;
         }
         
-        if (additionalWaitTime) {
-          await delay(additionalWaitTime);
-        }
-      }
-      
-      // Generate output path
-      const outputPath = generateOutputPath(filePath, this.distDir, this.outputDir);
-      await ensureDirectory(dirname(outputPath));
-      
-      // Generate PDF
-      await page.pdf({
-        path: outputPath,
-        format: pageConfig.format,
-        landscape: pageConfig.landscape,
-        margin: pageConfig.margin,
-        printBackground: pageConfig.printBackground,
-        preferCSSPageSize: pageConfig.preferCSSPageSize,
-        displayHeaderFooter: pageConfig.displayHeaderFooter
-      });
-      
-      // Get file size for reporting
-      const stats = await stat(outputPath);
-      const duration = Date.now() - startTime;
-      
-      this.logger.success(`Generated: ${outputPath} (${formatBytes(stats.size)}) in ${formatDuration(duration)}`);
-      this.stats.successful++;
-      
-    } catch (error) {
-      this.logger.error(`Failed to convert ${filePath}: ${error.message}`);
-      this.stats.failed++;
-    } finally {
-      if (page) {
-        await page.close();
+        this.logger.error(`Failed to convert ${filePath}: ${error.message}`);
+        this.stats.failed++;
+        
+        const result = { filePath, duration: Date.now() - startTime, attempts: attempt, warnings, success: false, error: error.message };
+        this.emit('page:finish', result);
+        return result;
       }
     }
   }
 
+  async renderFile(filePath, page, warnings = []) {
+    const prepared = await this.preparePage(filePath, page, warnings);
+    
+    // Generate PDF with running headers and footers if configured
+    const headerFooter = await this.getHeaderFooter(filePath, page, prepared);
+    if (headerFooter) {
+      await page.addStyleTag({ content: headerFooter });
+    }
+    let pdf = await page.pdf(this.getPDFOptions(prepared.pageConfig));
+    
+    // Fill PDF metadata from the page frontmatter
+    const metadata = getPDFMetadata(prepared.frontmatter, await this.getPageTitle(page, prepared.frontmatter), this.config.metadata);
+    metadata.language = prepared.language;
+    if (this.isAccessible() && !metadata.title) {
+      this.warn(`No document title for ${relative(this.distDir, filePath)}; add a title to the frontmatter or an <h1>`, warnings, filePath);
+    }
+    if (this.isReproducible()) {
+      metadata.date = metadata.date || this.renderDate;
+    }
+    pdf = await applyPDFMetadata(pdf, metadata);
+    if (this.isReproducible()) {
+      pdf = await normalizePDF(pdf, this.renderDate);
+    }
+    if (this.isPDFA()) {
+      pdf = await this.toPDFA(pdf, metadata, filePath, warnings);
+    }
+    const pages = await countPDFPages(pdf);
+    
+    if (this.output === 'buffer') {
+      return { outputPath: null, pdf, size: pdf.length, pages, missingAltText: prepared.missingAltText };
+    }
+    
+    const outputPath = generateOutputPath(filePath, this.distDir, this.outputDir);
+    await ensureDirectory(dirname(outputPath));
+    await writeFile(outputPath, pdf);
+    
+    // Get file size for reporting
+    const stats = await stat(outputPath);
+    return { outputPath, size: stats.size, pages, missingAltText: prepared.missingAltText };
+  }
+
+  // Everything besides the HTML and its assets that changes a page's PDF
+  async getCacheInputs(filePath) {
+    const frontmatter = await this.loadFrontmatter(filePath);
+    const pageConfig = this.getPageConfig(filePath, frontmatter);
+    return {
+      styles: await this.getStyleLayers(pageConfig),
+      pageConfig,
+      frontmatter,
+      qrCode: this.config.qrCode,
+      waitConditions: this.config.waitConditions,
+      preprocess: this.config.preprocess,
+      tables: this.config.tables,
+      reproducible: this.config.reproducible,
+      accessibility: this.config.accessibility,
+      pdfa: this.config.pdfa,
+      metadata: this.config.metadata,
+      // Only a pinned date is hashed; hashing today's date would re-render every page daily
+      renderDate: this.renderDateSource !== 'now' ? this.getRenderDate() : null
+    };
+  }
+
+  // The browser is usually launched after the cache check, so name the one puppeteer.launch() would start
+  async getExporterVersion() {
+    const browserVersion = this.browser
+      ? await this.browser.version()
+      : process.env.PUPPETEER_EXECUTABLE_PATH || `chrome/${PUPPETEER_REVISIONS.chrome}`;
+    return getExporterVersion(browserVersion);
+  }
+
   async convertAll(options = {}) {
     try {
       await this.init();
       
-      // Launch browser
-      this.browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-web-security',
-          '--font-render-hinting=none'
-        ]
-      });
-      
-      // Find all HTML files
-      const htmlFiles = await this.findHTMLFiles();
+      // Find all HTML files, or use the pages the caller asked for
+      const htmlFiles = options.files
+        ? options.files.map(file => this.resolveInputFile(file))
+        : await this.findHTMLFiles();
       this.stats.total = htmlFiles.length;
       
       if (htmlFiles.length === 0) {
-        this.logger.warn('No HTML files found to convert');
-        return;
+        this.warn('No HTML files found to convert');
+        return this.report.finish();
       }
       
-      // Convert files
-      if (options.parallel && options.parallel > 1) {
-        // Parallel processing
-        const chunks = [];
-        for (let i = 0; i < htmlFiles.length; i += options.parallel) {
-          chunks.push(htmlFiles.slice(i, i + options.parallel));
+      // Skip pages whose inputs are unchanged since the last export
+      const cache = this.output === 'file'
+        ? await new ExportCache(getManifestPath(this.outputDir), this.distDir, { exporter: await this.getExporterVersion() }).load()
+        : null;
+      const hashes = new Map();
+      const pendingFiles = [];
+      for (const file of htmlFiles) {
+        if (!cache) {
+          pendingFiles.push(file);
+          continue;
         }
         
-        for (const chunk of chunks) {
-          await Promise.all(chunk.map(file => this.convertFile(file)));
-        }
-      } else {
-        // Sequential processing
-        for (let i = 0; i < htmlFiles.length; i++) {
-          this.logger.progress(i + 1, htmlFiles.length, `Processing files...`);
-          await this.convertFile(htmlFiles[i]);
+        const hash = await cache.computeHash(file, await this.getCacheInputs(file));
+        const outputPath = generateOutputPath(file, this.distDir, this.outputDir);
+        hashes.set(file, hash);
+        
+        if (!options.force && await cache.isFresh(file, hash, outputPath)) {
+          this.logger.info(`Unchanged: ${file}`);
+          this.stats.skipped++;
+          this.report.addResult({ filePath: file, outputPath, skipped: true });
+        } else {
+          pendingFiles.push(file);
         }
       }
       
+      // Launch browser only when there is something to render
+      if (pendingFiles.length > 0) {
+        await this.ensureBrowser();
+      }
+      
+      // Keep up to `parallel` pages busy, starting the next file as soon as one finishes
+      const concurrency = Math.max(1, options.parallel || 1);
+      const pool = new PagePool(this.browser, { size: concurrency });
+      let completed = 0;
+      
+      try {
+        this.results = await runWithConcurrency(pendingFiles, concurrency, async (file) => {
+          const result = await this.convertFile(file, pool, options);
+          if (result.success && cache) {
+            cache.record(file, hashes.get(file), result.outputPath);
+          }
+          
+          completed++;
+          const status = result.success ? 'Finished' : 'Failed';
+          this.logger.progress(completed, pendingFiles.length, `${status} ${relative(this.distDir, file)} in ${formatDuration(result.duration)}`);
+          this.emit('progress', { completed, total: pendingFiles.length, result });
+          return result;
+        });
+      } finally {
+        await pool.close();
+      }
+      
+      this.results.forEach(result => this.report.addResult(result));
+      if (cache) {
+        // A subset export says nothing about the pages it left out
+        if (!options.files) cache.prune(htmlFiles);
+        await cache.save();
+      }
+      
       // Report results
       const totalDuration = Date.now() - this.stats.startTime;
       this.logger.info('');
       this.logger.info('Conversion complete:');
       this.logger.success(`✓ ${this.stats.successful} files converted successfully`);
+      if (this.stats.skipped > 0) {
+        this.logger.info(`${this.stats.skipped} unchanged files skipped (use --force to re-render)`);
+      }
       if (this.stats.failed > 0) {
         this.logger.error(`✗ ${this.stats.failed} files failed`);
       }
+      this.logResults(this.results);
+      if (this.isAccessible()) {
+        this.logAltTextAudit(this.results);
+      }
       this.logger.info(`Total time: ${formatDuration(totalDuration)}`);
       
       // Auto-copy PDFs to src directory for Observable Framework
-      if (this.stats.successful > 0) {
+      if (this.stats.successful > 0 && this.shouldCopyToSource) {
         await this.copyToSource();
       }
       
+      return this.report.finish();
+      
     } catch (error) {
       this.logger.error(`Fatal error: ${error.message}`);
-      process.exit(1);
+      this.report.addError(error.message);
+      this.report.finish();
+      throw error;
     } finally {
-      if (this.browser) {
-        await this.browser.close();
-      }
+      await this.closeBrowser();
     }
   }
   
+  // Figures without alt text, by file, so they can be fixed before the PDFs are handed out
+  logAltTextAudit(results = []) {
+    const missing = results.filter(result => result.missingAltText && result.missingAltText.length > 0);
+    if (missing.length === 0) {
+      this.logger.success('Accessibility audit: every figure has alt text');
+      return;
+    }
+    
+    const count = missing.reduce((sum, result) => sum + result.missingAltText.length, 0);
+    this.logger.warn(`Accessibility audit: ${count} figure(s) without alt text`);
+    missing.forEach(result => {
+      result.missingAltText.forEach(figure => {
+        this.logger.warn(`  ${relative(this.distDir, result.filePath)}: ${figure}`);
+      });
+    });
+  }
+
+  // Per-file timings, slowest first, to show what dominates the export time
+  logResults(results = []) {
+    if (results.length < 2) return;
+    
+    this.logger.info('Timings:');
+    [...results]
+      .sort((a, b) => b.duration - a.duration)
+      .forEach(result => {
+        const status = result.success ? '' : ' (failed)';
+        this.logger.info(`  ${formatDuration(result.duration).padStart(8)}  ${relative(this.distDir, result.filePath)}${status}`);
+      });
+  }
+
   async copyToSource() {
     try {
       const fs = await import('fs/promises');
       const pathModule = await import('path');
       
-      // Get the src directory (parent of dist)
-      const srcDir = pathModule.join(this.distDir, '..', 'src');
+      const srcDir = this.srcDir;
       
       // Check if src directory exists
       try {
@@ -439,37 +1023,368 @@ class PDFConverter {
     }
   }
 
+  // Render a standalone HTML document, such as the book cover, to PDF bytes
+  async renderHTML(html) {
+    const page = await this.browser.newPage();
+    
+    try {
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+      return await page.pdf({
+        ...this.getPDFOptions(this.config.defaults),
+        preferCSSPageSize: true
+      });
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Print the sample page once per theme
+   * @param {string} outputDir - Directory for <theme>.pdf
+   * @returns {Promise<Array<string>>} - Paths of the written previews
+   */
+  async previewThemes(outputDir) {
+    if (!this.config) {
+      await this.init();
+    }
+    
+    const sample = await readFile(THEME_SAMPLE, 'utf8');
+    const written = [];
+    await ensureDirectory(outputDir);
+    await this.ensureBrowser();
+    
+    try {
+      for (const name of this.styleManager.themes.keys()) {
+        const pageConfig = { ...this.config.defaults, ...this.styleManager.resolveTheme(name).page, theme: name };
+        const page = await this.browser.newPage();
+        try {
+          await page.setContent(sample, { waitUntil: 'networkidle0' });
+          await this.applyStyles(page, pageConfig, 'preview');
+          const outputPath = join(outputDir, `${name}.pdf`);
+          await writeFile(outputPath, await page.pdf(this.getPDFOptions(pageConfig)));
+          written.push(outputPath);
+        } finally {
+          await page.close();
+        }
+      }
+    } finally {
+      await this.closeBrowser();
+    }
+    return written;
+  }
+
+  async renderBookEntry(entry) {
+    const startTime = Date.now();
+    const warnings = [];
+    let page;
+    
+    try {
+      this.logger.info(`Rendering: ${entry.filePath}`);
+      
+      page = await this.browser.newPage();
+      const prepared = await this.preparePage(entry.filePath, page, warnings, { captionLists: false });
+      
+      // Page numbers are stamped across the whole book once it is merged
+      await page.addStyleTag({
+        content: '@page { @bottom-right { content: none; } }'
+      });
+      
+      // Captions for the lists of figures and tables, with a destination to find their page by
+      const captions = await page.evaluate(collectCaptions);
+      if (captions.length > 0) {
+        await page.evaluate(addCaptionDestinations);
+      }
+      
+      const pdf = await page.pdf(this.getPDFOptions(prepared.pageConfig));
+      const duration = Date.now() - startTime;
+      
+      if (captions.length > 0) {
+        const destinationPages = await getDestinationPages(pdf);
+        captions.forEach(caption => {
+          caption.pageIndex = destinationPages.get(caption.id) ?? 0;
+        });
+      }
+      
+      this.logger.success(`Rendered: ${entry.name} in ${formatDuration(duration)}`);
+      this.stats.successful++;
+      return { filePath: entry.filePath, pdf, pages: await countPDFPages(pdf), captions, duration, warnings, missingAltText: prepared.missingAltText, success: true };
+      
+    } catch (error) {
+      this.logger.error(`Failed to render ${entry.filePath}: ${error.message}`);
+      this.stats.failed++;
+      return { filePath: entry.filePath, duration: Date.now() - startTime, warnings, success: false, error: error.message };
+    } finally {
+      if (page) {
+        await page.close();
+      }
+    }
+  }
+
+  async convertBook(options = {}) {
+    try {
+      await this.init();
+      
+      // Pages are copied into the book without their structure trees
+      if (this.isAccessible()) {
+        this.warn('The combined PDF is not tagged; export pages individually for accessible PDFs');
+      }
+      
+      const bookConfig = this.config.book || {};
+      const builder = new BookBuilder({
+        ...bookConfig,
+        cover: { ...bookConfig.cover, date: (bookConfig.cover && bookConfig.cover.date) || this.getRenderDate() }
+      });
+      
+      // Pages are ordered as in the sidebar of the Observable Framework site
+      const siteConfigPath = options.siteConfigPath || join(this.distDir, '..', 'observablehq.config.js');
+      const siteConfig = await builder.loadSiteConfig(siteConfigPath);
+      const entries = [];
+      for (const entry of builder.resolveEntries(siteConfig, this.distDir)) {
+        if (!entry.filePath) {
+          this.warn(`No built page found for ${entry.path}, skipping`);
+          continue;
+        }
+        if (shouldExclude(entry.filePath, this.config.excludeFiles)) continue;
+        if ((await this.loadFrontmatter(entry.filePath)).pdf === false) continue;
+        entries.push(entry);
+      }
+      
+      if (entries.length === 0) {
+        this.warn('No pages found to include in the book');
+        return this.report.finish();
+      }
+      
+      await this.ensureBrowser();
+      this.stats.total = entries.length;
+      
+      for (let i = 0; i < entries.length; i++) {
+        this.logger.progress(i + 1, entries.length, `Rendering pages...`);
+        entries[i].result = await this.renderBookEntry(entries[i]);
+        entries[i].pdf = entries[i].result.pdf;
+        entries[i].captions = entries[i].result.captions;
+      }
+      
+      const rendered = entries.filter(entry => entry.pdf);
+      this.results = entries.map(entry => entry.result);
+      if (rendered.length === 0) {
+        this.results.forEach(result => this.report.addResult(result));
+        throw new Error('No pages could be rendered');
+      }
+      
+      const cover = bookConfig.cover && bookConfig.cover.enabled === false
+        ? null
+        : await this.renderHTML(await builder.generateCoverHTML(siteConfig));
+      const coverPages = cover ? await builder.countPages(cover) : 0;
+      
+      // Lay out the contents and lists once to learn their length, then again with page numbers
+      const tocEnabled = !(bookConfig.toc && bookConfig.toc.enabled === false);
+      const renderFrontMatter = async () => {
+        const lists = [];
+        for (const kind of builder.getCaptionLists()) {
+          const html = await builder.generateCaptionListHTML(kind, rendered);
+          lists.push(html ? await this.renderHTML(html) : null);
+        }
+        return {
+          toc: tocEnabled ? await this.renderHTML(await builder.generateTocHTML(rendered)) : null,
+          lists
+        };
+      };
+      let { toc, lists } = await renderFrontMatter();
+      let frontPages = coverPages;
+      for (const bytes of [toc, ...lists]) {
+        frontPages += bytes ? await builder.countPages(bytes) : 0;
+      }
+      
+      let nextPage = frontPages + 1;
+      for (const entry of rendered) {
+        entry.startPage = nextPage;
+        (entry.captions || []).forEach(caption => {
+          caption.page = entry.startPage + caption.pageIndex;
+        });
+        nextPage += await builder.countPages(entry.pdf);
+      }
+      
+      if (toc || lists.some(Boolean)) {
+        ({ toc, lists } = await renderFrontMatter());
+      }
+      
+      let bytes = await builder.merge({ cover, toc, lists, entries: rendered }, {
+        title: (bookConfig.cover && bookConfig.cover.title) || siteConfig.title,
+        distDir: this.distDir
+      });
+      if (this.isReproducible()) {
+        bytes = await normalizePDF(bytes, this.renderDate);
+      }
+      if (this.isPDFA()) {
+        const metadata = getPDFMetadata({
+          title: (bookConfig.cover && bookConfig.cover.title) || siteConfig.title,
+          authors: bookConfig.cover && bookConfig.cover.authors
+        }, '', this.config.metadata);
+        bytes = await this.toPDFA(await applyPDFMetadata(bytes, metadata), metadata);
+      }
+      
+      const outputPath = join(this.outputDir, options.output || builder.config.output);
+      await ensureDirectory(dirname(outputPath));
+      await writeFile(outputPath, bytes);
+      
+      // Every page in the book shares the combined output file
+      this.results.forEach(result => {
+        this.report.addResult(result.success ? { ...result, outputPath, size: bytes.length } : result);
+      });
+      
+      const totalDuration = Date.now() - this.stats.startTime;
+      this.logger.info('');
+      this.logger.success(`Generated book: ${outputPath} (${formatBytes(bytes.length)}, ${nextPage - 1} pages)`);
+      if (this.stats.failed > 0) {
+        this.logger.error(`✗ ${this.stats.failed} pages failed and were left out`);
+      }
+      if (this.isAccessible()) {
+        this.logAltTextAudit(this.results);
+      }
+      this.logger.info(`Total time: ${formatDuration(totalDuration)}`);
+      
+      if (this.shouldCopyToSource) {
+        await this.copyToSource();
+      }
+      
+      return this.report.finish();
+      
+    } catch (error) {
+      this.logger.error(`Fatal error: ${error.message}`);
+      this.report.addError(error.message);
+      this.report.finish();
+      throw error;
+    } finally {
+      await this.closeBrowser();
+    }
+  }
+
   async convertSingle(filePath, options = {}) {
     try {
       await this.init();
       
       // Launch browser
-      this.browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-web-security',
-          '--font-render-hinting=none'
-        ]
-      });
+      await this.ensureBrowser();
       
       this.stats.total = 1;
-      await this.convertFile(filePath);
+      const pool = new PagePool(this.browser, { size: 1 });
+      try {
+        this.results = [await this.convertFile(this.resolveInputFile(filePath), pool, options)];
+      } finally {
+        await pool.close();
+      }
+      
+      this.results.forEach(result => this.report.addResult(result));
+      return this.report.finish();
       
     } catch (error) {
       this.logger.error(`Fatal error: ${error.message}`);
-      process.exit(1);
+      this.report.addError(error.message);
+      this.report.finish();
+      throw error;
     } finally {
-      if (this.browser) {
-        await this.browser.close();
-      }
+      await this.closeBrowser();
     }
   }
 }
 
+/**
+ * Export Observable Framework pages to PDF from a script or test
+ * @param {Object} options - distDir, outputDir, pages, config, configPath, env,
+ *   overrides, transforms, browser, output ('buffer' or 'file'), parallel, retries, force, silent, logger, and the
+ *   onProgress, onPageStart, onPageFinish and onWarning callbacks
+ * @returns {Promise<Object>} - { results, report } with one result per page
+ */
+export async function exportPdf(options = {}) {
+  const {
+    pages,
+    parallel,
+    retries,
+    force,
+    onProgress,
+    onPageStart,
+    onPageFinish,
+    onWarning,
+    ...converterOptions
+  } = options;
+  
+  const converter = new PDFConverter({
+    silent: true,
+    output: 'buffer',
+    copyToSource: false,
+    ...converterOptions
+  });
+  
+  if (onProgress) converter.on('progress', onProgress);
+  if (onPageStart) converter.on('page:start', onPageStart);
+  if (onPageFinish) converter.on('page:finish', onPageFinish);
+  if (onWarning) converter.on('warning', onWarning);
+  
+  const report = await converter.convertAll({ files: pages, parallel, retries, force });
+  return { results: converter.results, report };
+}
+
 // CLI Interface
 if (import.meta.url === `file://${process.argv[1]}`) {
+  const baseDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+  const createConverter = (options, converterOptions = {}) => new PDFConverter({
+    distDir: join(baseDir, options.input),
+    outputDir: join(baseDir, options.output),
+    configPath: join(baseDir, options.config),
+    env: options.env,
+    overrides: [
+      ...options.set,
+      ...(options.reproducible ? ['reproducible.enabled=true'] : []),
+      ...(options.accessible ? ['accessibility.enabled=true'] : []),
+      ...(options.pdfa ? ['pdfa.enabled=true'] : [])
+    ],
+    verbose: !options.quiet,
+    ...converterOptions
+  });
+
+  async function runExport(options) {
+    if (options.printConfig) {
+      const converter = createConverter(options, { silent: true });
+      try {
+        const page = typeof options.printConfig === 'string' ? options.printConfig : options.file;
+        console.log(JSON.stringify(await converter.getResolvedConfig(page), null, 2));
+      } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+      }
+      return;
+    }
+    
+    const converter = createConverter(options);
+
+    let run;
+    if (options.file) {
+      run = converter.convertSingle(options.file, { retries: options.retries });
+    } else if (options.book) {
+      run = converter.convertBook({ output: typeof options.book === 'string' ? options.book : undefined });
+    } else {
+      run = converter.convertAll({ parallel: options.parallel, force: options.force, retries: options.retries });
+    }
+
+    // Fatal errors were already logged by the converter; they always fail the run
+    run
+      .then(report => report.getExitCode(options.failOn), () => 1)
+      .then(async (exitCode) => {
+        if (options.report) {
+          await converter.report.writeJSON(resolve(baseDir, options.report));
+        }
+        if (options.junit) {
+          await converter.report.writeJUnit(resolve(baseDir, options.junit));
+        }
+        process.exitCode = exitCode;
+      })
+      .catch(error => {
+        converter.logger.error(`Failed to write the export report: ${error.message}`);
+        process.exitCode = 1;
+      });
+  }
+
   program
     .name('pdf-export')
     .description('Convert Observable Framework HTML output to PDF')
@@ -477,24 +1392,79 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     .option('-i, --input <dir>', 'Input directory (dist folder)', '../dist')
     .option('-o, --output <dir>', 'Output directory for PDFs', './output')
     .option('-c, --config <path>', 'Configuration file path', './config/config.json')
+    .option('-e, --env <name>', 'Also load config.<name>.json (defaults to $PDF_EXPORT_ENV)')
+    .option('--set <key=value>', 'Override a setting, e.g. --set waitConditions.additionalWaitTime=0 (repeatable)',
+      (value, previous) => previous.concat(value), [])
+    .option('--print-config [page]', 'Print the resolved configuration (and settings for a page) and exit')
     .option('-f, --file <path>', 'Convert a single file')
-    .option('-p, --parallel <number>', 'Number of parallel conversions', parseInt, 1)
+    .option('-p, --parallel <number>', 'Number of parallel conversions', value => parseInt(value, 10), 1)
+    .option('-b, --book [name]', 'Combine all pages into a single PDF with cover and contents')
+    .option('--reproducible', 'Pin the render date, seed Math.random and normalize PDF metadata', false)
+    .option('--accessible', 'Tag PDFs for screen readers, add alt text to charts and audit figures without it', false)
+    .option('--pdfa', 'Write archival PDF/A-2b files and check them for violations', false)
+    .option('--force', 'Re-render every page, ignoring the export manifest', false)
+    .option('-r, --retries <number>', 'Retries for a failed file, each on a fresh page', value => parseInt(value, 10))
+    .option('--report <path>', 'Write a JSON export report')
+    .option('--junit <path>', 'Write a JUnit XML export report')
+    .addOption(new Option('--fail-on <level>', 'Exit with an error code on warnings or errors')
+      .choices(['warning', 'error', 'none'])
+      .default('error'))
     .option('-v, --verbose', 'Verbose output', true)
     .option('-q, --quiet', 'Quiet mode (minimal output)', false)
-    .parse();
+    .action(runExport);
 
-  const options = program.opts();
-  
-  const converter = new PDFConverter({
-    distDir: join(dirname(fileURLToPath(import.meta.url)), '..', options.input),
-    outputDir: join(dirname(fileURLToPath(import.meta.url)), '..', options.output),
-    configPath: join(dirname(fileURLToPath(import.meta.url)), '..', options.config),
-    verbose: !options.quiet
-  });
+  program
+    .command('validate-config')
+    .description('Check the configuration layers (-c, --env, --set, PDF_EXPORT_*) against the schema and exit')
+    .action(async () => {
+      const options = program.opts();
+      const logger = new Logger(true);
+      try {
+        const { sources } = await loadConfig({
+          configPath: resolve(baseDir, options.config),
+          env: options.env,
+          overrides: options.set
+        });
+        logger.success(`Configuration is valid: ${sources.join(' → ')}`);
+      } catch (error) {
+        logger.error(error.message);
+        process.exitCode = 1;
+      }
+    });
 
-  if (options.file) {
-    converter.convertSingle(options.file, { parallel: options.parallel });
-  } else {
-    converter.convertAll({ parallel: options.parallel });
-  }
-}
\ No newline at end of file
+  program
+    .command('themes')
+    .description('List the print themes and write a sample PDF for each to <output>/themes')
+    .option('--no-preview', 'Only list the themes')
+    .action(async (commandOptions) => {
+      const options = program.opts();
+      const logger = new Logger(true);
+      const converter = createConverter(options, { silent: true });
+      try {
+        await converter.init();
+        const describePage = ({ format, landscape, margin }) => [
+          format && `${format}${landscape ? ' landscape' : ''}`,
+          margin && `margins ${margin.top} ${margin.right} ${margin.bottom} ${margin.left}`
+        ].filter(Boolean).join(', ');
+        
+        for (const name of converter.styleManager.themes.keys()) {
+          const theme = converter.styleManager.resolveTheme(name);
+          logger.info(`${name} (${theme.source}${theme.extends ? `, extends ${theme.extends}` : ''}): ${theme.description}`);
+          const page = describePage(theme.page);
+          if (page) {
+            logger.info(`    ${page}`);
+          }
+        }
+        
+        if (commandOptions.preview) {
+          const written = await converter.previewThemes(join(converter.outputDir, 'themes'));
+          written.forEach(path => logger.success(`✓ ${relative(baseDir, path)}`));
+        }
+      } catch (error) {
+        logger.error(error.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program.parse();
+}
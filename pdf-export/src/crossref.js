@@ -0,0 +1,165 @@
+import { PDFArray, PDFDict, PDFDocument, PDFName } from 'pdf-lib';
+
+// Figure and table captions are numbered by plugins/markdown-it-crossref.js when
+// the site is built; the exporter only reads the numbers back from the page.
+
+/**
+ * List the numbered captions in a page. Runs in the page through page.evaluate.
+ * @returns {Array<Object>} - { id, kind, number, label, text } in page order,
+ *   where kind is "fig" or "tbl" and label reads e.g. "Figure 3"
+ */
+export function collectCaptions() {
+  return Array.from(document.querySelectorAll('.crossref-caption[data-crossref]')).map(caption => {
+    const copy = caption.cloneNode(true);
+    const label = copy.querySelector('.crossref-label');
+    if (label) label.remove();
+    copy.querySelectorAll('.footnote-ref').forEach(element => element.remove());
+    return {
+      id: caption.id,
+      kind: caption.dataset.crossref,
+      number: Number(caption.dataset.crossrefNumber),
+      label: label ? label.textContent.trim().replace(/[:.]$/, '') : '',
+      text: copy.textContent.trim()
+    };
+  });
+}
+
+/**
+ * Add invisible links to every caption, so Chromium writes a named
+ * destination for each and the caption's page can be read from the PDF.
+ * Runs in the page through page.evaluate.
+ * @returns {number} - Number of captions linked
+ */
+export function addCaptionDestinations() {
+  const captions = document.querySelectorAll('.crossref-caption[id]');
+  if (captions.length === 0) return 0;
+
+  const anchors = document.createElement('div');
+  anchors.className = 'pdf-caption-destinations';
+  anchors.setAttribute('aria-hidden', 'true');
+  anchors.style.cssText = 'position: absolute; top: 0; left: 0; width: 1px; height: 1px; overflow: hidden; opacity: 0;';
+  captions.forEach(caption => {
+    const link = document.createElement('a');
+    link.href = `#${caption.id}`;
+    link.tabIndex = -1;
+    anchors.appendChild(link);
+  });
+  document.body.appendChild(anchors);
+  return captions.length;
+}
+
+/**
+ * Insert a linked list of figures and/or tables after the page's first
+ * heading. Runs in the page through page.evaluate.
+ * @param {Array<Object>} lists - { kind, title } for each list, kind "fig" or "tbl"
+ * @returns {number} - Number of entries listed
+ */
+export function insertCaptionLists(lists) {
+  const main = document.querySelector('#observablehq-main') || document.body;
+  let anchor = main.querySelector('h1');
+  let count = 0;
+
+  lists.forEach(({ kind, title }) => {
+    const captions = Array.from(main.querySelectorAll(`.crossref-caption[data-crossref="${kind}"]`));
+    if (captions.length === 0) return;
+
+    const nav = document.createElement('nav');
+    nav.className = 'pdf-caption-list';
+    const heading = document.createElement('p');
+    heading.className = 'pdf-caption-list-title';
+    heading.textContent = title;
+    const list = document.createElement('ol');
+    captions.forEach(caption => {
+      const copy = caption.cloneNode(true);
+      copy.querySelectorAll('.footnote-ref').forEach(element => element.remove());
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `#${caption.id}`;
+      link.innerHTML = copy.innerHTML;
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    nav.append(heading, list);
+
+    if (anchor) {
+      anchor.after(nav);
+    } else {
+      main.prepend(nav);
+    }
+    anchor = nav;
+    count += captions.length;
+  });
+
+  return count;
+}
+
+// Destination array of a named destination, which may be wrapped in a { D } dictionary
+function destinationArray(value) {
+  if (value instanceof PDFDict) {
+    value = value.lookup(PDFName.of('D'));
+  }
+  return value instanceof PDFArray ? value : null;
+}
+
+/**
+ * Read the named destinations of a PDF, from both the catalog's /Dests
+ * dictionary and the /Names tree
+ * @param {PDFDocument} doc - Loaded PDF
+ * @returns {Map<string, Object>} - Name → { pageIndex, destination }
+ */
+export function getNamedDestinations(doc) {
+  const pageIndices = new Map(doc.getPages().map((page, index) => [page.ref, index]));
+  const destinations = new Map();
+
+  const add = (name, value) => {
+    const destination = destinationArray(value);
+    if (!destination || destinations.has(name)) return;
+    const pageIndex = pageIndices.get(destination.get(0));
+    if (pageIndex !== undefined) {
+      destinations.set(name, { pageIndex, destination });
+    }
+  };
+
+  const dests = doc.catalog.lookup(PDFName.of('Dests'));
+  if (dests instanceof PDFDict) {
+    for (const [name] of dests.entries()) {
+      add(name.decodeText(), dests.lookup(name));
+    }
+  }
+
+  const visit = (node, depth = 0) => {
+    if (!(node instanceof PDFDict) || depth > 32) return;
+    const names = node.lookup(PDFName.of('Names'));
+    if (names instanceof PDFArray) {
+      for (let i = 0; i + 1 < names.size(); i += 2) {
+        add(names.lookup(i).decodeText(), names.lookup(i + 1));
+      }
+    }
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) {
+        visit(kids.lookup(i), depth + 1);
+      }
+    }
+  };
+  const namesDict = doc.catalog.lookup(PDFName.of('Names'));
+  if (namesDict instanceof PDFDict) {
+    visit(namesDict.lookup(PDFName.of('Dests')));
+  }
+
+  return destinations;
+}
+
+/**
+ * Find the page each named destination of a rendered PDF is on
+ * @param {Uint8Array} pdfBytes - PDF data
+ * @returns {Promise<Map<string, number>>} - Name → zero-based page index
+ */
+export async function getDestinationPages(pdfBytes) {
+  const doc = await PDFDocument.load(pdfBytes);
+  const pages = new Map();
+  for (const [name, { pageIndex }] of getNamedDestinations(doc)) {
+    pages.set(name, pageIndex);
+  }
+  return pages;
+}
@@ -0,0 +1,78 @@
+import { readFile } from 'fs/promises';
+import { join, relative } from 'path';
+import yaml from 'js-yaml';
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+/**
+ * Parse the YAML frontmatter block at the top of a Markdown page
+ * @param {string} markdown - Markdown source
+ * @returns {Object} - Frontmatter data, or an empty object if there is none
+ */
+export function parseFrontmatter(markdown) {
+  const match = markdown.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return {};
+  }
+
+  const data = yaml.load(match[1]);
+  return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+}
+
+/**
+ * Map a built HTML file back to the Markdown page it was generated from
+ * @param {string} htmlPath - HTML file in the dist directory
+ * @param {string} distDir - The dist directory
+ * @param {string} srcDir - The Observable Framework source root
+ * @returns {string} - Path of the Markdown source
+ */
+export function getSourcePath(htmlPath, distDir, srcDir) {
+  const relativePath = relative(distDir, htmlPath);
+  return join(srcDir, relativePath.replace(/\.html$/, '.md'));
+}
+
+/**
+ * Read the frontmatter of the source page behind a built HTML file
+ * @param {string} htmlPath - HTML file in the dist directory
+ * @param {string} distDir - The dist directory
+ * @param {string} srcDir - The Observable Framework source root
+ * @returns {Promise<Object>} - Frontmatter data, or an empty object
+ */
+export async function readFrontmatter(htmlPath, distDir, srcDir) {
+  let markdown;
+  try {
+    markdown = await readFile(getSourcePath(htmlPath, distDir, srcDir), 'utf8');
+  } catch {
+    // Pages generated by loaders have no Markdown source
+    return {};
+  }
+
+  try {
+    return parseFrontmatter(markdown);
+  } catch (error) {
+    throw new Error(`Invalid frontmatter in ${getSourcePath(htmlPath, distDir, srcDir)}: ${error.message}`);
+  }
+}
+
+/**
+ * Build PDF document metadata from page frontmatter
+ * @param {Object} frontmatter - Frontmatter data
+ * @param {string} fallbackTitle - Title to use when frontmatter has none
+ * @param {Object} defaults - The `metadata` config section: authors, keywords and doi for pages that set none
+ * @returns {Object} - { title, authors, date, subject, keywords, doi }
+ */
+export function getPDFMetadata(frontmatter = {}, fallbackTitle = '', defaults = {}) {
+  const toList = value => value == null ? [] : [].concat(value).map(String);
+  const date = frontmatter.date ? new Date(frontmatter.date) : null;
+  const authors = toList(frontmatter.authors || frontmatter.author);
+  const keywords = toList(frontmatter.keywords || frontmatter.tags);
+
+  return {
+    title: frontmatter.title || fallbackTitle || null,
+    authors: authors.length > 0 ? authors : toList(defaults.authors),
+    date: date && !isNaN(date) ? date : null,
+    subject: frontmatter.abstract || frontmatter.description || null,
+    keywords: keywords.length > 0 ? keywords : toList(defaults.keywords),
+    doi: frontmatter.doi ? String(frontmatter.doi) : defaults.doi || null
+  };
+}
@@ -0,0 +1,72 @@
+// Page counters Chromium fills in itself while printing each page
+const PAGE_COUNTERS = {
+  page: 'counter(page)',
+  pages: 'counter(pages)'
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/;
+
+function cssString(value) {
+  return `"${String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\A ')}"`;
+}
+
+/**
+ * Expand {{title}}, {{date}}, {{page}}, {{pages}}, {{section}} and {{url}}
+ * into a CSS `content` value
+ * @param {string} template - Template string from the page configuration
+ * @param {Object} values - Values for the document placeholders
+ * @returns {string} - Strings and page counters, e.g. "Page " counter(page)
+ */
+export function expandTemplate(template, values = {}) {
+  const parts = [];
+  let text = '';
+  // split() with a capture group alternates text and placeholder names
+  template.split(PLACEHOLDER).forEach((part, i) => {
+    if (i % 2 === 0) {
+      text += part;
+    } else if (PAGE_COUNTERS[part]) {
+      if (text) parts.push(cssString(text));
+      parts.push(PAGE_COUNTERS[part]);
+      text = '';
+    } else {
+      text += part in values ? String(values[part] ?? '') : `{{${part}}}`;
+    }
+  });
+  if (text || parts.length === 0) {
+    parts.push(cssString(text));
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Build the @page margin boxes that print the header and footer templates,
+ * in the same way config/styles.css prints its default footer
+ * @param {Object} pageConfig - Page configuration with headerTemplate/footerTemplate
+ * @param {Object} values - Values for the document placeholders
+ * @returns {string|null} - CSS to add to the page, or null when no template is set
+ */
+export function getHeaderFooterStyles(pageConfig, values) {
+  const boxes = [
+    ['top-center', pageConfig.headerTemplate],
+    ['bottom-center', pageConfig.footerTemplate]
+  ].filter(([, template]) => template);
+  if (boxes.length === 0) {
+    return null;
+  }
+
+  const style = "font-family: 'Lexend', sans-serif; font-size: 8pt; color: #666; text-align: center;";
+  const styles = [
+    `@page {\n${boxes.map(([box, template]) => `  @${box} { content: ${expandTemplate(template, values)}; ${style} }`).join('\n')}\n}`
+  ];
+
+  // Hidden on the first page by CSS, so the PDF stays a single rendering
+  // with one structure tree when it is tagged
+  if (pageConfig.headerFooterOnFirstPage === false) {
+    styles.push(`@page :first {\n${boxes.map(([box]) => `  @${box} { content: none; }`).join('\n')}\n}`);
+  }
+
+  return styles.join('\n');
+}
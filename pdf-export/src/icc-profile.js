@@ -0,0 +1,103 @@
+// A compact sRGB IEC61966-2.1 ICC profile (version 2.1, display class), built
+// in code so the exporter does not need a profile file. PDF/A output intents
+// embed it to say what colour space Chromium's DeviceRGB output is in.
+
+// Colorants and white point adapted to the D50 profile connection space
+const D50 = [0.9642, 1.0, 0.8249];
+const RED = [0.4361, 0.2225, 0.0139];
+const GREEN = [0.3851, 0.7169, 0.0971];
+const BLUE = [0.1431, 0.0606, 0.7141];
+
+const DESCRIPTION = 'sRGB IEC61966-2.1';
+
+function ascii(text) {
+  return Buffer.from(text, 'latin1');
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value >>> 0);
+  return buffer;
+}
+
+// s15Fixed16Number
+function fixed(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(Math.round(value * 65536));
+  return buffer;
+}
+
+function xyzTag(xyz) {
+  return Buffer.concat([ascii('XYZ '), uint32(0), ...xyz.map(fixed)]);
+}
+
+// textDescriptionType with empty Unicode and ScriptCode parts
+function descriptionTag(text) {
+  const value = Buffer.concat([ascii(text), Buffer.alloc(1)]);
+  return Buffer.concat([ascii('desc'), uint32(0), uint32(value.length), value, uint32(0), uint32(0), Buffer.alloc(2 + 1 + 67)]);
+}
+
+function textTag(text) {
+  return Buffer.concat([ascii('text'), uint32(0), ascii(text), Buffer.alloc(1)]);
+}
+
+// The sRGB transfer function, sampled
+function curveTag(samples = 1024) {
+  const values = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const v = i / (samples - 1);
+    const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    values.writeUInt16BE(Math.round(linear * 65535), i * 2);
+  }
+  return Buffer.concat([ascii('curv'), uint32(0), uint32(samples), values]);
+}
+
+function pad(buffer) {
+  return buffer.length % 4 === 0 ? buffer : Buffer.concat([buffer, Buffer.alloc(4 - (buffer.length % 4))]);
+}
+
+/**
+ * Build the sRGB ICC profile
+ * @returns {Uint8Array} - Profile bytes
+ */
+export function createSRGBProfile() {
+  const curve = curveTag();
+  // The three TRC tags share one curve
+  const tags = [
+    ['desc', descriptionTag(DESCRIPTION)],
+    ['cprt', textTag('No copyright, use freely')],
+    ['wtpt', xyzTag(D50)],
+    ['rXYZ', xyzTag(RED)],
+    ['gXYZ', xyzTag(GREEN)],
+    ['bXYZ', xyzTag(BLUE)],
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve]
+  ];
+
+  const tableSize = 4 + tags.length * 12;
+  const table = [uint32(tags.length)];
+  const data = [];
+  const offsets = new Map();
+  let offset = 128 + tableSize;
+  for (const [signature, body] of tags) {
+    if (!offsets.has(body)) {
+      offsets.set(body, offset);
+      data.push(pad(body));
+      offset += pad(body).length;
+    }
+    table.push(ascii(signature), uint32(offsets.get(body)), uint32(body.length));
+  }
+
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(offset, 0);
+  header.writeUInt32BE(0x02100000, 8); // version 2.1
+  header.write('mntrRGB XYZ ', 12, 'latin1');
+  // Fixed creation date keeps the profile, and so reproducible PDFs, byte-identical
+  [2000, 1, 1, 0, 0, 0].forEach((value, i) => header.writeUInt16BE(value, 24 + i * 2));
+  header.write('acsp', 36, 'latin1');
+  header.writeUInt32BE(0, 64); // perceptual rendering intent
+  D50.forEach((value, i) => fixed(value).copy(header, 68 + i * 4));
+
+  return new Uint8Array(Buffer.concat([header, ...table, ...data]));
+}
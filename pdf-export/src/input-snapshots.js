@@ -0,0 +1,159 @@
+/**
+ * Freeze Observable Inputs for print. Runs in the page through page.evaluate,
+ * so it must not reference anything outside itself.
+ *
+ * - Inputs named in `values` (by label) are set to that value, and the control
+ *   is replaced by a caption such as "View: By Site".
+ * - Every `.pdf-snapshots[data-input]` element is rendered once per value of
+ *   the named input (`data-values`, comma-separated, or every option), each
+ *   copy captioned; the control itself is removed. Tables in each copy are
+ *   expanded first when tables.js has installed window.pdfExportExpandTables.
+ *
+ * @param {Object} values - Input label → value, from `pdf.inputs` in frontmatter
+ * @returns {Promise<Object>} - { set, snapshots, missing } for logging
+ */
+export async function freezeInputs(values = {}) {
+  const SETTLE_TIME = 200;
+  const MAX_WAIT = 5000;
+
+  const labelOf = form => {
+    const label = form.querySelector(':scope > label');
+    return label ? label.textContent.trim() : null;
+  };
+  const findInput = name => Array.from(document.querySelectorAll('form'))
+    .find(form => labelOf(form) === name && !form.querySelector('table'));
+
+  // Text of each choice the input offers
+  const choicesOf = form => {
+    const select = form.querySelector('select');
+    if (select) return Array.from(select.options).map(option => option.textContent.trim());
+    return Array.from(form.querySelectorAll('input[type=radio], input[type=checkbox]'))
+      .map(input => input.parentElement.textContent.trim());
+  };
+
+  const matches = (wanted, text, value) => wanted.includes(text) || wanted.includes(value);
+
+  // Change the control the way a reader would, so Observable re-runs dependent cells
+  const setValue = (form, value) => {
+    const wanted = [].concat(value).map(String);
+    const select = form.querySelector('select');
+    if (select) {
+      Array.from(select.options).forEach(option => {
+        option.selected = matches(wanted, option.textContent.trim(), option.value);
+      });
+      select.dispatchEvent(new Event('input', { bubbles: true }));
+      return;
+    }
+
+    const choices = Array.from(form.querySelectorAll('input[type=radio], input[type=checkbox]'));
+    if (choices.length === 1 && typeof value === 'boolean') {
+      choices[0].checked = value;
+    } else if (choices.length > 0) {
+      choices.forEach(input => {
+        input.checked = matches(wanted, input.parentElement.textContent.trim(), input.value);
+      });
+    }
+    if (choices.length > 0) {
+      choices[0].dispatchEvent(new Event('input', { bubbles: true }));
+      return;
+    }
+
+    const field = form.querySelector('input, textarea');
+    if (field) {
+      field.value = String(value);
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  };
+
+  // Resolve once the page has stopped changing after the input event
+  const setValueAndSettle = (form, value) => new Promise(resolve => {
+    let settle;
+    const done = () => {
+      observer.disconnect();
+      clearTimeout(limit);
+      resolve();
+    };
+    const observer = new MutationObserver(() => {
+      clearTimeout(settle);
+      settle = setTimeout(done, SETTLE_TIME);
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    settle = setTimeout(done, SETTLE_TIME * 5);
+    const limit = setTimeout(done, MAX_WAIT);
+    setValue(form, value);
+  });
+
+  const caption = (className, text) => {
+    const element = document.createElement('p');
+    element.className = className;
+    element.textContent = text;
+    return element;
+  };
+
+  // Copies keep no ids (they would clash with the live cells) and canvases
+  // lose their pixels when cloned, so they are copied as images
+  const staticCopy = node => {
+    const copy = node.cloneNode(true);
+    if (node.nodeType !== Node.ELEMENT_NODE) return copy;
+    copy.removeAttribute('id');
+    copy.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+    const sources = node.querySelectorAll('canvas');
+    copy.querySelectorAll('canvas').forEach((canvas, index) => {
+      const image = document.createElement('img');
+      image.src = sources[index].toDataURL();
+      image.width = sources[index].width;
+      image.style.cssText = sources[index].style.cssText;
+      canvas.replaceWith(image);
+    });
+    return copy;
+  };
+
+  const result = { set: [], snapshots: [], missing: [] };
+
+  for (const [name, value] of Object.entries(values)) {
+    const form = findInput(name);
+    if (!form) {
+      result.missing.push(name);
+      continue;
+    }
+    await setValueAndSettle(form, value);
+    form.replaceWith(caption('pdf-input-caption', `${name}: ${[].concat(value).join(', ')}`));
+    result.set.push(name);
+  }
+
+  const inputsToRemove = new Set();
+  for (const region of document.querySelectorAll('.pdf-snapshots[data-input]')) {
+    const name = region.dataset.input;
+    const form = findInput(name);
+    if (!form) {
+      result.missing.push(name);
+      continue;
+    }
+
+    const snapshotValues = region.dataset.values
+      ? region.dataset.values.split(',').map(value => value.trim()).filter(Boolean)
+      : choicesOf(form);
+    const label = region.dataset.label || name;
+
+    const copies = [];
+    for (const value of snapshotValues) {
+      await setValueAndSettle(form, value);
+      if (typeof window.pdfExportExpandTables === 'function') {
+        window.pdfExportExpandTables(region);
+      }
+      const figure = document.createElement('figure');
+      figure.className = 'pdf-snapshot';
+      figure.appendChild(caption('pdf-snapshot-caption', `${label}: ${value}`));
+      Array.from(region.childNodes).forEach(node => figure.appendChild(staticCopy(node)));
+      copies.push(figure);
+    }
+
+    region.replaceChildren(...copies);
+    region.classList.add('pdf-snapshots-rendered');
+    inputsToRemove.add(form);
+    result.snapshots.push({ input: name, values: snapshotValues });
+  }
+  inputsToRemove.forEach(form => form.remove());
+
+  return result;
+}
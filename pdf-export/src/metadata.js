@@ -0,0 +1,64 @@
+import { createHash } from 'crypto';
+import { PDFDocument, PDFHexString } from 'pdf-lib';
+
+/**
+ * Write document metadata into a rendered PDF
+ * @param {Uint8Array} pdfBytes - PDF produced by Puppeteer
+ * @param {Object} metadata - { title, authors, date, subject, keywords, language }
+ * @returns {Promise<Uint8Array>} - The updated PDF
+ */
+export async function applyPDFMetadata(pdfBytes, metadata = {}) {
+  const doc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+
+  if (metadata.title) {
+    doc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  }
+  if (metadata.authors && metadata.authors.length > 0) {
+    doc.setAuthor(metadata.authors.join(', '));
+  }
+  if (metadata.subject) {
+    doc.setSubject(metadata.subject);
+  }
+  if (metadata.keywords && metadata.keywords.length > 0) {
+    doc.setKeywords(metadata.keywords);
+  }
+  if (metadata.date) {
+    doc.setCreationDate(metadata.date);
+  }
+  if (metadata.language) {
+    doc.setLanguage(metadata.language);
+  }
+
+  doc.setProducer('pdf-export (Puppeteer)');
+
+  return doc.save();
+}
+
+/**
+ * Pin the dates and document ID of a PDF so identical content gives identical bytes
+ * @param {Uint8Array} pdfBytes - PDF data
+ * @param {Date} date - Creation and modification date to record
+ * @returns {Promise<Uint8Array>} - The normalized PDF
+ */
+export async function normalizePDF(pdfBytes, date) {
+  const doc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  doc.setCreationDate(date);
+  doc.setModificationDate(date);
+
+  // Derive the ID from the content instead of the time Chromium printed it
+  doc.context.trailerInfo.ID = undefined;
+  const id = PDFHexString.of(createHash('md5').update(await doc.save()).digest('hex'));
+  doc.context.trailerInfo.ID = doc.context.obj([id, id]);
+
+  return doc.save();
+}
+
+/**
+ * Count the pages of a PDF
+ * @param {Uint8Array} pdfBytes - PDF data
+ * @returns {Promise<number>} - Page count
+ */
+export async function countPDFPages(pdfBytes) {
+  const doc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  return doc.getPageCount();
+}
@@ -0,0 +1,70 @@
+export class PagePool {
+  constructor(browser, options = {}) {
+    this.browser = browser;
+    this.size = Math.max(1, options.size || 1);
+    this.idle = [];
+    this.pages = new Set();
+    this.waiting = [];
+    this.opening = 0;
+  }
+
+  /**
+   * Get a browser page, reusing an idle one when possible
+   * @returns {Promise<Page>} - A Puppeteer page reserved for the caller
+   */
+  async acquire() {
+    if (this.idle.length > 0) {
+      return this.idle.pop();
+    }
+
+    if (this.pages.size + this.opening < this.size) {
+      return this.open();
+    }
+
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  async open() {
+    this.opening++;
+    try {
+      const page = await this.browser.newPage();
+      this.pages.add(page);
+      return page;
+    } finally {
+      this.opening--;
+    }
+  }
+
+  // Return a healthy page so the next file can reuse it
+  release(page) {
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      waiter.resolve(page);
+    } else {
+      this.idle.push(page);
+    }
+  }
+
+  // Close a page that may be in a broken state instead of reusing it
+  async destroy(page) {
+    this.pages.delete(page);
+    await page.close().catch(() => {});
+
+    // Open a replacement for the next caller in line, passing on the error if the browser is gone
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      try {
+        waiter.resolve(await this.open());
+      } catch (error) {
+        waiter.reject(error);
+      }
+    }
+  }
+
+  async close() {
+    const pages = Array.from(this.pages);
+    this.pages.clear();
+    this.idle = [];
+    await Promise.all(pages.map(page => page.close().catch(() => {})));
+  }
+}
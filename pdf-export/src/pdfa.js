@@ -0,0 +1,278 @@
+import { createHash } from 'crypto';
+import {
+  PDFDocument,
+  PDFArray,
+  PDFDict,
+  PDFHeader,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFStream,
+  PDFString,
+  decodePDFRawStream
+} from 'pdf-lib';
+import { createSRGBProfile } from './icc-profile.js';
+
+// PDF/A-2b (ISO 19005-2, level B): fonts embedded, colour defined by an
+// output intent, XMP metadata matching the document information dictionary,
+// and nothing that depends on outside resources or scripts.
+
+const OUTPUT_CONDITION = 'sRGB IEC61966-2.1';
+
+// Annotation flags: Invisible, Hidden, Print, NoView
+const ANNOTATION_FLAGS = { invisible: 1, hidden: 2, print: 4, noView: 32 };
+
+const FORBIDDEN_ANNOTATIONS = ['Sound', 'Movie', 'Screen', '3D', 'RichMedia', 'FileAttachment'];
+const FORBIDDEN_ACTIONS = ['Launch', 'JavaScript', 'Sound', 'Movie', 'ResetForm', 'ImportData', 'Hide', 'SetOCGState', 'Rendition', 'Trans', 'GoTo3DView'];
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Normalise "doi:10.x/y" and doi.org URLs to the bare DOI
+function bareDOI(doi) {
+  return String(doi).trim().replace(/^doi:\s*/i, '').replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+}
+
+/**
+ * Build an XMP packet declaring PDF/A-2b conformance
+ * @param {Object} info - { title, authors, subject, keywords, doi, creator, producer, created, modified }
+ * @returns {string} - XMP packet
+ */
+export function createXMP(info) {
+  const properties = [];
+  const add = (value, xml) => {
+    if (value) properties.push(xml);
+  };
+
+  add(info.title, `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXML(info.title)}</rdf:li></rdf:Alt></dc:title>`);
+  add(info.author, `<dc:creator><rdf:Seq><rdf:li>${escapeXML(info.author)}</rdf:li></rdf:Seq></dc:creator>`);
+  add(info.subject, `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXML(info.subject)}</rdf:li></rdf:Alt></dc:description>`);
+  add(info.keywords && info.keywords.length > 0,
+    `<dc:subject><rdf:Bag>${(info.keywords || []).map(keyword => `<rdf:li>${escapeXML(keyword)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`);
+  add(info.keywordsText, `<pdf:Keywords>${escapeXML(info.keywordsText)}</pdf:Keywords>`);
+  add(info.doi, `<dc:identifier>doi:${escapeXML(info.doi)}</dc:identifier>`);
+  add(info.doi, `<prism:doi>${escapeXML(info.doi)}</prism:doi>`);
+  add(info.doi, `<prism:url>https://doi.org/${escapeXML(info.doi)}</prism:url>`);
+  add(info.creator, `<xmp:CreatorTool>${escapeXML(info.creator)}</xmp:CreatorTool>`);
+  add(info.created, `<xmp:CreateDate>${info.created && info.created.toISOString()}</xmp:CreateDate>`);
+  add(info.modified, `<xmp:ModifyDate>${info.modified && info.modified.toISOString()}</xmp:ModifyDate>`);
+  add(info.modified, `<xmp:MetadataDate>${info.modified && info.modified.toISOString()}</xmp:MetadataDate>`);
+  add(info.producer, `<pdf:Producer>${escapeXML(info.producer)}</pdf:Producer>`);
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:prism="http://prismstandard.org/namespaces/basic/3.0/">
+      <pdfaid:part>2</pdfaid:part>
+      <pdfaid:conformance>B</pdfaid:conformance>
+      ${properties.join('\n      ')}
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// Make every annotation printable and visible, as PDF/A requires
+function fixAnnotationFlags(doc) {
+  let fixed = 0;
+  for (const page of doc.getPages()) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+    for (let i = 0; i < annots.size(); i++) {
+      const annot = annots.lookup(i, PDFDict);
+      const flags = annot.lookup(PDFName.of('F'));
+      const current = flags instanceof PDFNumber ? flags.asNumber() : 0;
+      const wanted = (current | ANNOTATION_FLAGS.print) & ~(ANNOTATION_FLAGS.invisible | ANNOTATION_FLAGS.hidden | ANNOTATION_FLAGS.noView);
+      if (wanted !== current) {
+        annot.set(PDFName.of('F'), PDFNumber.of(wanted));
+        fixed++;
+      }
+    }
+  }
+  return fixed;
+}
+
+/**
+ * Turn a rendered PDF into PDF/A-2b: sRGB output intent, XMP metadata that
+ * matches the document information, printable annotations and a document ID.
+ * Chromium already embeds (subsets of) every font it uses; checkPDFA reports any that are not.
+ * @param {Uint8Array} pdfBytes - PDF data, with metadata already applied
+ * @param {Object} metadata - { doi, keywords } not stored in the information dictionary
+ * @param {Object} options - { date } used when the PDF has no creation or modification date
+ * @returns {Promise<Uint8Array>} - The PDF/A file
+ */
+export async function convertToPDFA(pdfBytes, metadata = {}, options = {}) {
+  const doc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const { context, catalog } = doc;
+  const date = options.date || new Date();
+
+  // PDF/A-2 is based on PDF 1.7
+  context.header = PDFHeader.forVersion(1, 7);
+
+  if (!doc.getCreationDate()) doc.setCreationDate(date);
+  if (!doc.getModificationDate()) doc.setModificationDate(doc.getCreationDate());
+  const keywords = (metadata.keywords || []).map(String);
+  if (keywords.length > 0 && !doc.getKeywords()) doc.setKeywords(keywords);
+
+  const info = {
+    title: doc.getTitle(),
+    author: doc.getAuthor(),
+    subject: doc.getSubject(),
+    keywords,
+    keywordsText: doc.getKeywords(),
+    doi: metadata.doi ? bareDOI(metadata.doi) : null,
+    creator: doc.getCreator(),
+    producer: doc.getProducer(),
+    created: doc.getCreationDate(),
+    modified: doc.getModificationDate()
+  };
+  const xmp = context.stream(Buffer.from(createXMP(info), 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+  catalog.set(PDFName.of('Metadata'), context.register(xmp));
+
+  const profile = context.stream(createSRGBProfile(), { N: 3 });
+  const outputIntent = context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFString.of(OUTPUT_CONDITION),
+    Info: PDFString.of(OUTPUT_CONDITION),
+    RegistryName: PDFString.of('http://www.color.org'),
+    DestOutputProfile: context.register(profile)
+  });
+  catalog.set(PDFName.of('OutputIntents'), context.obj([context.register(outputIntent)]));
+
+  fixAnnotationFlags(doc);
+
+  // A document ID is required; derive it from the content so it stays reproducible
+  if (!context.trailerInfo.ID) {
+    const id = PDFHexString.of(createHash('md5').update(await doc.save()).digest('hex'));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+
+  return doc.save();
+}
+
+// Stream contents as text, decoding filters pdf-lib understands
+function streamText(stream) {
+  try {
+    const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+    return Buffer.from(bytes).toString('utf8');
+  } catch {
+    return '';
+  }
+}
+
+function fontIsEmbedded(font) {
+  const subtype = font.lookup(PDFName.of('Subtype'));
+  if (subtype === PDFName.of('Type3')) return true;
+  if (subtype === PDFName.of('Type0')) {
+    const descendants = font.lookup(PDFName.of('DescendantFonts'));
+    return descendants instanceof PDFArray && descendants.size() > 0 && fontIsEmbedded(descendants.lookup(0, PDFDict));
+  }
+  const descriptor = font.lookup(PDFName.of('FontDescriptor'));
+  return descriptor instanceof PDFDict &&
+    ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)));
+}
+
+/**
+ * Check a PDF against the PDF/A-2b rules that can be tested without a full
+ * validator: version, encryption, ID, XMP identification, output intent,
+ * embedded fonts, annotations, actions and embedded files.
+ * @param {Uint8Array} pdfBytes - PDF data
+ * @returns {Promise<Array<string>>} - Violations found, empty when none
+ */
+export async function checkPDFA(pdfBytes) {
+  const violations = [];
+  const header = Buffer.from(pdfBytes.slice(0, 16)).toString('latin1');
+  const version = header.match(/^%PDF-1\.(\d)/);
+  if (!version || Number(version[1]) > 7) {
+    violations.push(`header "${header.split(/\r?\n/)[0]}" is not PDF 1.0–1.7`);
+  }
+
+  const doc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+  const { context, catalog } = doc;
+
+  if (context.trailerInfo.Encrypt) violations.push('file is encrypted');
+  if (!context.trailerInfo.ID) violations.push('trailer has no document ID');
+
+  const metadata = catalog.lookup(PDFName.of('Metadata'));
+  const xmp = metadata instanceof PDFStream ? streamText(metadata) : '';
+  if (!xmp) {
+    violations.push('no XMP metadata stream');
+  } else {
+    if (!/pdfaid:part(?:>|=")2/.test(xmp)) violations.push('XMP does not declare pdfaid:part 2');
+    if (!/pdfaid:conformance(?:>|=")[BU]/.test(xmp)) violations.push('XMP does not declare pdfaid:conformance B');
+    const title = doc.getTitle();
+    if (title && !xmp.includes(escapeXML(title))) violations.push('document title differs from XMP dc:title');
+  }
+
+  const intents = catalog.lookup(PDFName.of('OutputIntents'));
+  const hasIntent = intents instanceof PDFArray && intents.asArray().some((_, i) => {
+    const intent = intents.lookup(i);
+    return intent instanceof PDFDict &&
+      intent.lookup(PDFName.of('S')) === PDFName.of('GTS_PDFA1') &&
+      intent.lookup(PDFName.of('DestOutputProfile')) instanceof PDFStream;
+  });
+  if (!hasIntent) violations.push('no GTS_PDFA1 output intent with an ICC profile');
+
+  const names = catalog.lookup(PDFName.of('Names'));
+  if (names instanceof PDFDict) {
+    if (names.has(PDFName.of('JavaScript'))) violations.push('document contains JavaScript');
+    if (names.has(PDFName.of('EmbeddedFiles'))) violations.push('document contains embedded files');
+  }
+  if (catalog.has(PDFName.of('AA'))) violations.push('document has additional actions (AA)');
+
+  const unembedded = new Set();
+  const actions = new Set();
+  const checkAction = action => {
+    const kind = action instanceof PDFDict && action.lookup(PDFName.of('S'));
+    if (kind instanceof PDFName && FORBIDDEN_ACTIONS.includes(kind.decodeText())) {
+      actions.add(kind.decodeText());
+    }
+  };
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFDict)) continue;
+    const type = object.lookup(PDFName.of('Type'));
+    if (type === PDFName.of('Font') && !fontIsEmbedded(object)) {
+      const baseFont = object.lookup(PDFName.of('BaseFont'));
+      unembedded.add(baseFont ? baseFont.decodeText() : 'unnamed font');
+    }
+    if (!type || type === PDFName.of('Action')) {
+      checkAction(object);
+    }
+  }
+  unembedded.forEach(font => violations.push(`font ${font} is not embedded`));
+
+  doc.getPages().forEach((page, index) => {
+    if (page.node.has(PDFName.of('AA'))) violations.push(`page ${index + 1} has additional actions (AA)`);
+    const annots = page.node.Annots();
+    if (!annots) return;
+    for (let i = 0; i < annots.size(); i++) {
+      const annot = annots.lookup(i, PDFDict);
+      const subtype = annot.lookup(PDFName.of('Subtype'));
+      const name = subtype ? subtype.decodeText() : 'unknown';
+      checkAction(annot.lookup(PDFName.of('A')));
+      if (FORBIDDEN_ANNOTATIONS.includes(name)) {
+        violations.push(`page ${index + 1} has a ${name} annotation`);
+      }
+      const flags = annot.lookup(PDFName.of('F'));
+      const value = flags instanceof PDFNumber ? flags.asNumber() : 0;
+      if (!(value & ANNOTATION_FLAGS.print) || value & (ANNOTATION_FLAGS.invisible | ANNOTATION_FLAGS.hidden | ANNOTATION_FLAGS.noView)) {
+        violations.push(`page ${index + 1} has a ${name} annotation that is not printable`);
+      }
+    }
+  });
+  actions.forEach(action => violations.push(`${action} actions are not allowed`));
+
+  return violations;
+}
@@ -1,85 +1,126 @@
-import { readFile } from 'fs/promises';
-import { JSDOM } from 'jsdom';
+// Observable Framework UI that has no place in a printed page
+export const DEFAULT_ELEMENTS_TO_REMOVE = [
+  '.observablehq-header',
+  '.observablehq-footer',
+  '.observablehq-sidebar',
+  '.observablehq-sidebar-toggle',
+  '.observablehq-toc',
+  '.observablehq-toc-toggle',
+  '.observablehq-search',
+  '.observablehq-theme-toggle',
+  '.observablehq-pager',
+  '#observablehq-sidebar-toggle',
+  '#observablehq-toc-toggle',
+  '#observablehq-sidebar',
+  '#observablehq-toc',
+  '#observablehq-sidebar-backdrop',
+  'label[for="observablehq-sidebar-toggle"]'
+];
 
-export class HTMLPreprocessor {
-  constructor() {
-    this.elementsToRemove = [
-      '.observablehq-header',
-      '.observablehq-footer',
-      '.observablehq-sidebar',
-      '.observablehq-sidebar-toggle',
-      '.observablehq-toc',
-      '.observablehq-toc-toggle',
-      '.observablehq-search',
-      '.observablehq-theme-toggle',
-      '.observablehq-pager',
-      '#observablehq-sidebar-toggle',
-      '#observablehq-toc-toggle'
-    ];
-  }
-
-  async processHTML(filePath) {
-    const html = await readFile(filePath, 'utf8');
-    const dom = new JSDOM(html);
-    const document = dom.window.document;
-
-    // Remove Observable UI elements
-    this.elementsToRemove.forEach(selector => {
-      const elements = document.querySelectorAll(selector);
-      elements.forEach(el => el.remove());
+// Transforms that run inside the page; each returns how many elements it changed
+const PAGE_TRANSFORMS = {
+  // Show the content of <details> blocks, with the summary as a bold lead-in
+  'unwrap-details': () => {
+    const details = Array.from(document.querySelectorAll('details'));
+    details.forEach(element => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'pdf-details';
+      const summary = element.querySelector(':scope > summary');
+      if (summary) {
+        const heading = document.createElement('p');
+        heading.className = 'pdf-details-summary';
+        heading.innerHTML = `<strong>${summary.innerHTML}</strong>`;
+        wrapper.appendChild(heading);
+        summary.remove();
+      }
+      while (element.firstChild) {
+        wrapper.appendChild(element.firstChild);
+      }
+      element.replaceWith(wrapper);
     });
+    return details.length;
+  },
 
-    // Update main content area for full width
-    const mainContent = document.querySelector('.observablehq-main');
-    if (mainContent) {
-      mainContent.style.maxWidth = 'none';
-      mainContent.style.margin = '0';
-      mainContent.style.padding = '0';
-    }
-
-    // Ensure all images and assets use absolute paths
-    this.fixAssetPaths(document, filePath);
-
-    // Wait for any lazy-loaded content
-    this.ensureContentLoaded(document);
-
-    return dom.serialize();
-  }
-
-  fixAssetPaths(document, filePath) {
-    // Fix image sources
-    document.querySelectorAll('img').forEach(img => {
-      const src = img.getAttribute('src');
-      if (src && !src.startsWith('http') && !src.startsWith('data:')) {
-        // Convert relative paths to absolute
-        img.setAttribute('src', this.resolveAssetPath(src, filePath));
+  // Remove Observable Inputs and other controls; Inputs.table forms are kept
+  'remove-inputs': () => {
+    let count = 0;
+    document.querySelectorAll('form').forEach(form => {
+      if (!form.querySelector('table')) {
+        form.remove();
+        count++;
       }
     });
-
-    // Fix link hrefs for stylesheets
-    document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
-      const href = link.getAttribute('href');
-      if (href && !href.startsWith('http')) {
-        link.setAttribute('href', this.resolveAssetPath(href, filePath));
+    document.querySelectorAll('input, select, textarea, button').forEach(control => {
+      if (!control.closest('table')) {
+        (control.closest('label') || control).remove();
+        count++;
       }
     });
+    return count;
   }
+};
 
-  resolveAssetPath(relativePath, htmlFilePath) {
-    // This is a simple implementation - adjust based on your actual file structure
-    if (relativePath.startsWith('/')) {
-      return `file://${process.cwd()}/dist${relativePath}`;
+export class HTMLPreprocessor {
+  constructor(options = {}) {
+    this.elementsToRemove = options.elementsToRemove || [...DEFAULT_ELEMENTS_TO_REMOVE];
+    this.transforms = new Map(
+      Object.entries(PAGE_TRANSFORMS).map(([name, transform]) => [name, page => page.evaluate(transform)])
+    );
+    for (const [name, transform] of Object.entries(options.transforms || {})) {
+      this.registerTransform(name, transform);
     }
-    return `file://${process.cwd()}/dist/${relativePath}`;
   }
 
-  ensureContentLoaded(document) {
-    // Add markers to indicate content is ready for PDF
-    document.querySelectorAll('svg').forEach(svg => {
-      svg.setAttribute('data-rendered', 'true');
-    });
+  /**
+   * Add a custom transform that can be listed in the `preprocess.transforms` config
+   * @param {string} name - Name used in the configuration
+   * @param {Function} transform - async (page, context) => number of elements changed
+   */
+  registerTransform(name, transform) {
+    this.transforms.set(name, transform);
+  }
+
+  /**
+   * Remove UI elements and apply transforms in a live Puppeteer page
+   * @param {Page} page - Loaded page
+   * @param {Object} options - { remove, transforms, context } where remove and
+   *   transforms extend the defaults and context is passed to custom transforms
+   * @returns {Promise<Object>} - { removed, transformed, invalid, unknown } for logging
+   */
+  async processPage(page, options = {}) {
+    const selectors = Array.from(new Set([...this.elementsToRemove, ...(options.remove || [])]));
+
+    const removal = await page.evaluate(selectors => {
+      const removed = [];
+      const invalid = [];
+      selectors.forEach(selector => {
+        let elements;
+        try {
+          elements = document.querySelectorAll(selector);
+        } catch {
+          invalid.push(selector);
+          return;
+        }
+        elements.forEach(element => element.remove());
+        if (elements.length > 0) {
+          removed.push({ selector, count: elements.length });
+        }
+      });
+      return { removed, invalid };
+    }, selectors);
+
+    const transformed = [];
+    const unknown = [];
+    for (const name of options.transforms || []) {
+      const transform = this.transforms.get(name);
+      if (!transform) {
+        unknown.push(name);
+        continue;
+      }
+      const count = await transform(page, options.context || {});
+      transformed.push({ name, count: typeof count === 'number' ? count : null });
+    }
 
-    // Remove any loading indicators
-    document.querySelectorAll('.loading, .spinner').forEach(el => el.remove());
+    return { ...removal, transformed, unknown };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,18 @@
+// The exporter's side of the print-mode contract in src/components/print-mode.js:
+// data-print-mode and data-print-width on <html>, then a "printmodechange" event
+// on window, after which components re-render their static print variant.
+
+/**
+ * Switch the page's components to print mode. Runs in the page through page.evaluate.
+ * @param {Object} options - { width } text width of the printed page in CSS pixels
+ * @returns {Promise<void>} - Resolves after the next frame, once components have re-rendered
+ */
+export function enablePrintMode({ width }) {
+  const root = document.documentElement;
+  root.dataset.printMode = 'pdf';
+  if (width) {
+    root.dataset.printWidth = String(Math.floor(width));
+  }
+  window.dispatchEvent(new Event('printmodechange'));
+  return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
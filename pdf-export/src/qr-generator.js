@@ -1,5 +1,14 @@
 import QRCode from 'qrcode';
-import { basename } from 'path';
+import { basename, relative, sep } from 'path';
+import { getDOIUrl } from './site-url.js';
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
 export class QRGenerator {
   constructor(config = {}) {
@@ -20,7 +29,7 @@ export class QRGenerator {
    * Generate a QR code as a data URL for a given file path
    * @param {string} filePath - The HTML file path
    * @param {Object} qrConfig - QR code specific configuration
-   * @returns {Promise<string>} - Data URL of the QR code
+   * @returns {Promise<string|null>} - Data URL of the QR code, or null if the page has no URL
    */
   async generateForFile(filePath, qrConfig = {}) {
     const config = { ...this.config, ...qrConfig };
@@ -32,40 +41,94 @@ export class QRGenerator {
       return null;
     }
     
-    try {
-      // Generate QR code as SVG string with solid colors
-      const svgString = await QRCode.toString(url, {
-        type: 'svg',
-        width: config.width,
-        margin: config.margin,
-        errorCorrectionLevel: config.errorCorrectionLevel,
-        color: config.colors || config.color
-      });
-      
-      // Convert to data URL without additional styling
-      const svgBase64 = Buffer.from(svgString).toString('base64');
-      const dataUrl = `data:image/svg+xml;base64,${svgBase64}`;
-      
-      return dataUrl;
-    } catch (error) {
-      console.error(`Failed to generate QR code for ${filePath}:`, error);
-      return null;
+    // Generate QR code as SVG string with solid colors; errors go to the caller to report
+    const svgString = await QRCode.toString(url, {
+      type: 'svg',
+      width: config.width,
+      margin: config.margin,
+      errorCorrectionLevel: config.errorCorrectionLevel,
+      color: config.colors || config.color
+    });
+    
+    // Convert to data URL without additional styling
+    const svgBase64 = Buffer.from(svgString).toString('base64');
+    return `data:image/svg+xml;base64,${svgBase64}`;
+  }
+
+  /**
+   * Path of a built page on the site, following Observable Framework's
+   * preserveExtension and preserveIndex options:
+   * dist/guides/index.html → "guides/", dist/methods.html → "methods"
+   * @param {string} filePath - The HTML file path
+   * @param {Object} config - Configuration object (distDir, preserveExtension, preserveIndex)
+   * @returns {string} - Path relative to the site root, without a leading slash
+   */
+  getPagePath(filePath, config = this.config) {
+    const distDir = config.distDir || this.config.distDir;
+    let path = distDir ? relative(distDir, filePath).split(sep).join('/') : basename(filePath);
+    if (!config.preserveExtension) {
+      path = path.replace(/\.html$/, '');
+    }
+    if (!config.preserveIndex) {
+      path = path.replace(/(^|\/)index(\.html)?$/, '$1');
     }
+    return path;
   }
 
   /**
-   * Generate the URL to encode in the QR code
+   * Generate the web address of the page a PDF was made from
    * @param {string} filePath - The HTML file path
    * @param {Object} config - Configuration object
-   * @returns {string} - URL to encode
+   * @returns {string|null} - Page URL, or null without a base URL
    */
-  generateURL(filePath, config) {
+  generatePageURL(filePath, config) {
     if (!config.baseUrl) {
       return null;
     }
     
-    // Always return the base URL (index page) for all QR codes
-    return config.baseUrl;
+    const base = config.baseUrl.endsWith('/') ? config.baseUrl : `${config.baseUrl}/`;
+    const path = this.getPagePath(filePath, config).split('/').map(encodeURIComponent).join('/');
+    return new URL(path, base).href;
+  }
+
+  /**
+   * Generate the URL to encode in the QR code: the page URL, plus
+   * utm_* parameters when qrCode.utm is enabled, or the page's DOI when
+   * qrCode.target is "doi" (or there is no base URL)
+   * @param {string} filePath - The HTML file path
+   * @param {Object} config - Configuration object, with the page's `doi` if it has one
+   * @returns {string|null} - URL to encode
+   */
+  generateURL(filePath, config) {
+    const doiUrl = config.doi ? getDOIUrl(config.doi) : null;
+    if (doiUrl && (config.target === 'doi' || !config.baseUrl)) {
+      return doiUrl;
+    }
+    
+    const pageUrl = this.generatePageURL(filePath, config);
+    if (!pageUrl || !config.utm || !config.utm.enabled) {
+      return pageUrl;
+    }
+    
+    // utm_content names the page, e.g. "guides/index" or "methods"
+    const { utm } = config;
+    const content = this.getPagePath(filePath, { ...config, preserveExtension: false, preserveIndex: true });
+    const url = new URL(pageUrl);
+    url.searchParams.set('utm_source', utm.source || 'pdf');
+    if (utm.medium) url.searchParams.set('utm_medium', utm.medium);
+    if (utm.campaign) url.searchParams.set('utm_campaign', utm.campaign);
+    url.searchParams.set('utm_content', content);
+    return url.href;
+  }
+
+  /**
+   * Shorten a URL for printing: no protocol, "www.", query or trailing slash
+   * @param {string} url - Full URL
+   * @returns {string} - e.g. "example.org/reports/methods"
+   */
+  shortURL(url) {
+    const { host, pathname } = new URL(url);
+    return `${host.replace(/^www\./, '')}${decodeURI(pathname)}`.replace(/\/$/, '');
   }
 
   /**
@@ -73,9 +136,10 @@ export class QRGenerator {
    * @param {string} dataUrl - QR code data URL
    * @param {string} url - The URL the QR code points to
    * @param {Object} position - Position configuration
+   * @param {string|null} caption - Text printed under the code, e.g. a short URL
    * @returns {string} - HTML string
    */
-  generateHTML(dataUrl, url, position = {}) {
+  generateHTML(dataUrl, url, position = {}, caption = null) {
     if (!dataUrl) {
       return '';
     }
@@ -84,10 +148,12 @@ export class QRGenerator {
     const title = position.title || 'Scan to view online';
     
     return `
-      <div class="qr-code-container qr-code-first-page ${positionClass}">
-        <a href="${url}" target="_blank" rel="noopener noreferrer">
-          <img src="${dataUrl}" class="qr-code-image" />
+      <div class="qr-code-container qr-code-first-page ${escapeHTML(positionClass)}">
+        ${position.title ? `<span class="qr-code-title">${escapeHTML(position.title)}</span>` : ''}
+        <a href="${escapeHTML(url)}" target="_blank" rel="noopener noreferrer" title="${escapeHTML(title)}">
+          <img src="${dataUrl}" class="qr-code-image" alt="${escapeHTML(`${title}: ${url}`)}" />
         </a>
+        ${caption ? `<span class="qr-code-caption">${escapeHTML(caption)}</span>` : ''}
       </div>
     `;
   }
@@ -97,14 +163,15 @@ export class QRGenerator {
    * @param {string} dataUrl - QR code data URL
    * @param {string} url - The URL the QR code points to
    * @param {Object} position - Position configuration
+   * @param {string|null} caption - Text printed under the code
    * @returns {string} - JavaScript code to execute in page context
    */
-  generateInjectionScript(dataUrl, url, position = {}) {
+  generateInjectionScript(dataUrl, url, position = {}, caption = null) {
     if (!dataUrl) {
       return '';
     }
     
-    const html = this.generateHTML(dataUrl, url, position);
+    const html = this.generateHTML(dataUrl, url, position, caption).trim();
     
     return `
       (() => {
@@ -114,7 +181,7 @@ export class QRGenerator {
         
         // Create and inject new QR code
         const container = document.createElement('div');
-        container.innerHTML = \`${html}\`;
+        container.innerHTML = ${JSON.stringify(html)};
         const qrElement = container.firstElementChild;
         
         // Find the best place to inject based on document structure
@@ -0,0 +1,149 @@
+import { writeFile } from 'fs/promises';
+import { dirname, relative } from 'path';
+import { ensureDirectory } from './utils.js';
+
+const FAIL_ON_LEVELS = ['none', 'error', 'warning'];
+
+function escapeXML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export class ExportReport {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || process.cwd();
+    this.files = [];
+    this.warnings = [];
+    this.errors = [];
+    this.startTime = Date.now();
+    this.endTime = null;
+  }
+
+  /**
+   * Record the outcome of one input file
+   * @param {Object} result - Result from PDFConverter.convertFile
+   */
+  addResult(result) {
+    this.files.push({
+      input: relative(this.baseDir, result.filePath),
+      output: result.outputPath ? relative(this.baseDir, result.outputPath) : null,
+      status: result.skipped ? 'skipped' : (result.success ? 'success' : 'failed'),
+      bytes: result.size ?? null,
+      pages: result.pages ?? null,
+      durationMs: result.duration ?? 0,
+      attempts: result.attempts ?? 0,
+      warnings: result.warnings || [],
+      errors: result.error ? [result.error] : []
+    });
+  }
+
+  // Warnings that are not tied to a single file, such as configuration problems
+  addWarning(message) {
+    this.warnings.push(message);
+  }
+
+  addError(message) {
+    this.errors.push(message);
+  }
+
+  finish() {
+    this.endTime = Date.now();
+    return this;
+  }
+
+  get summary() {
+    const count = status => this.files.filter(file => file.status === status).length;
+    return {
+      total: this.files.length,
+      successful: count('success'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      warnings: this.warnings.length + this.files.reduce((sum, file) => sum + file.warnings.length, 0),
+      errors: this.errors.length + this.files.reduce((sum, file) => sum + file.errors.length, 0),
+      durationMs: (this.endTime || Date.now()) - this.startTime
+    };
+  }
+
+  /**
+   * Exit code for a failure policy
+   * @param {string} failOn - "error" (default), "warning" or "none"
+   * @returns {number} - 0 if the export passes the policy, otherwise 1
+   */
+  getExitCode(failOn = 'error') {
+    if (!FAIL_ON_LEVELS.includes(failOn)) {
+      throw new Error(`Unknown --fail-on level "${failOn}" (expected ${FAIL_ON_LEVELS.join(', ')})`);
+    }
+
+    const { errors, warnings } = this.summary;
+    if (failOn === 'none') return 0;
+    if (errors > 0) return 1;
+    if (failOn === 'warning' && warnings > 0) return 1;
+    return 0;
+  }
+
+  toJSON() {
+    return {
+      generatedAt: new Date(this.endTime || Date.now()).toISOString(),
+      summary: this.summary,
+      warnings: this.warnings,
+      errors: this.errors,
+      files: this.files
+    };
+  }
+
+  toJUnit() {
+    const { total, failed, skipped, durationMs } = this.summary;
+    const seconds = ms => (ms / 1000).toFixed(3);
+
+    const testcases = this.files.map(file => {
+      const children = [];
+      if (file.status === 'skipped') {
+        children.push('<skipped message="Unchanged since last export"/>');
+      }
+      file.errors.forEach(error => {
+        children.push(`<failure message="${escapeXML(error)}">${escapeXML(error)}</failure>`);
+      });
+      if (file.warnings.length > 0) {
+        children.push(`<system-err>${escapeXML(file.warnings.join('\n'))}</system-err>`);
+      }
+      if (file.status === 'success') {
+        children.push(`<system-out>${escapeXML(`${file.output} (${file.bytes} bytes, ${file.pages} pages)`)}</system-out>`);
+      }
+
+      const open = `    <testcase classname="pdf-export" name="${escapeXML(file.input)}" time="${seconds(file.durationMs)}"`;
+      return children.length > 0
+        ? `${open}>\n      ${children.join('\n      ')}\n    </testcase>`
+        : `${open}/>`;
+    });
+
+    // Warnings and errors that are not tied to a file go on the suite
+    const globalOutput = [...this.warnings, ...this.errors].map(escapeXML).join('\n');
+    if (globalOutput) {
+      testcases.push(`    <system-err>${globalOutput}</system-err>`);
+    }
+
+    const attributes = `tests="${total}" failures="${failed}" errors="${this.errors.length}" skipped="${skipped}" time="${seconds(durationMs)}"`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="pdf-export" ${attributes}>
+  <testsuite name="pdf-export" ${attributes}>
+${testcases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+  }
+
+  async writeJSON(filePath) {
+    await ensureDirectory(dirname(filePath));
+    await writeFile(filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  async writeJUnit(filePath) {
+    await ensureDirectory(dirname(filePath));
+    await writeFile(filePath, this.toJUnit());
+  }
+}
@@ -0,0 +1,73 @@
+import { execSync } from 'child_process';
+
+/**
+ * Read SOURCE_DATE_EPOCH (seconds since 1970, as used by reproducible builds)
+ * @param {Object} environment - Environment variables
+ * @returns {Date|null} - The pinned date, or null if unset or invalid
+ */
+export function getSourceDateEpoch(environment = process.env) {
+  const value = environment.SOURCE_DATE_EPOCH;
+  if (!value || !/^\d+$/.test(value.trim())) {
+    return null;
+  }
+  return new Date(Number(value) * 1000);
+}
+
+// Time of the last commit, so a checkout always renders with the same date
+function getLastCommitDate(cwd) {
+  try {
+    const seconds = execSync('git log -1 --format=%ct', { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    return /^\d+$/.test(seconds) ? new Date(Number(seconds) * 1000) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decide which date pages are rendered with: reproducible.renderDate, then
+ * SOURCE_DATE_EPOCH, then (in reproducible mode) the last commit, then now
+ * @param {Object} settings - The `reproducible` config section
+ * @param {Object} options - { environment, cwd }
+ * @returns {Object} - { date, source } where source is "config", "SOURCE_DATE_EPOCH", "git" or "now"
+ */
+export function resolveRenderDate(settings = {}, options = {}) {
+  const { environment = process.env, cwd = process.cwd() } = options;
+
+  if (settings.renderDate) {
+    const date = new Date(settings.renderDate);
+    if (isNaN(date)) {
+      throw new Error(`Invalid reproducible.renderDate "${settings.renderDate}"`);
+    }
+    return { date, source: 'config' };
+  }
+
+  const epoch = getSourceDateEpoch(environment);
+  if (epoch) {
+    return { date: epoch, source: 'SOURCE_DATE_EPOCH' };
+  }
+
+  if (settings.enabled) {
+    const commitDate = getLastCommitDate(cwd);
+    if (commitDate) {
+      return { date: commitDate, source: 'git' };
+    }
+  }
+
+  return { date: new Date(), source: 'now' };
+}
+
+/**
+ * Replace Math.random with a seeded generator (mulberry32). Runs in the page
+ * through evaluateOnNewDocument, so it must not reference anything outside itself.
+ * @param {number} seed - Seed for the generator
+ */
+export function seedMathRandom(seed) {
+  let state = seed >>> 0;
+  Math.random = function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,146 @@
+import { execSync } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+// Git hosts with a Pages service: the Pages domain, and the repository that
+// publishes at the root of the owner's site instead of under /<repository>
+const PAGES_HOSTS = {
+  'github.com': { domain: 'github.io', rootRepository: owner => `${owner}.github.io` },
+  'gitlab.com': { domain: 'gitlab.io', rootRepository: owner => `${owner}.gitlab.io` },
+  'codeberg.org': { domain: 'codeberg.page', rootRepository: () => 'pages' }
+};
+
+/**
+ * Split a git remote URL into host and repository path. Handles HTTPS
+ * (with or without credentials), ssh:// and scp-style (git@host:owner/repo) remotes.
+ * @param {string} remoteUrl - e.g. "git@gitlab.com:group/subgroup/project.git"
+ * @returns {Object|null} - { host, owner, path } where path is everything after the owner
+ */
+export function parseRemoteUrl(remoteUrl) {
+  const match = remoteUrl.trim().match(/^(?:[a-z][\w+.-]*:\/\/)?(?:[^@/]+@)?([^/:]+)(?::\d+(?=\/))?[:/](.+?)(?:\.git)?\/?$/i);
+  if (!match) {
+    return null;
+  }
+  const [, host, repositoryPath] = match;
+  const segments = repositoryPath.split('/').filter(Boolean);
+  if (segments.length < 2) {
+    return null;
+  }
+  return { host: host.toLowerCase(), owner: segments[0], path: segments.slice(1).join('/') };
+}
+
+/**
+ * Work out the Pages URL of a repository from its host's naming conventions
+ * @param {Object} remote - Result of parseRemoteUrl
+ * @param {Object} pagesDomains - Extra git hosts, e.g. { "git.example.org": "pages.example.org" }
+ * @returns {string|null} - Site URL, or null for hosts without a known Pages service
+ */
+export function getPagesUrl(remote, pagesDomains = {}) {
+  const custom = pagesDomains[remote.host];
+  const known = PAGES_HOSTS[remote.host];
+  const domain = custom || (known && known.domain);
+  if (!domain) {
+    return null;
+  }
+
+  // Pages hostnames are lowercase; project paths keep their case
+  const owner = remote.owner.toLowerCase();
+  const repository = remote.path.toLowerCase();
+  // Self-hosted GitLab uses <owner>.<domain> for the root site, Gitea-based hosts use "pages"
+  const rootRepositories = custom ? [`${owner}.${domain}`, 'pages'] : [known.rootRepository(owner)];
+  if (rootRepositories.includes(repository)) {
+    return `https://${owner}.${domain}`;
+  }
+  return `https://${owner}.${domain}/${remote.path}`;
+}
+
+// Custom domain from a GitHub/GitLab-style CNAME file
+function readCNAME(directories) {
+  for (const directory of directories) {
+    const path = directory && join(directory, 'CNAME');
+    if (!path || !existsSync(path)) continue;
+    const domain = readFileSync(path, 'utf8').split(/\r?\n/).map(line => line.trim()).find(Boolean);
+    if (domain) {
+      return { url: /^https?:\/\//.test(domain) ? domain : `https://${domain}`, path };
+    }
+  }
+  return null;
+}
+
+function getRemoteUrl(cwd) {
+  try {
+    return execSync('git config --get remote.origin.url', { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return '';
+  }
+}
+
+// Site URL from the environment of a Netlify or Vercel build
+function getHostingUrl(environment) {
+  if (environment.NETLIFY === 'true') {
+    // Deploy previews and branch deploys have their own address
+    const url = environment.CONTEXT === 'production'
+      ? environment.URL
+      : environment.DEPLOY_PRIME_URL || environment.URL;
+    if (url) return { url, source: 'Netlify' };
+  }
+  if (environment.VERCEL) {
+    const host = environment.VERCEL_ENV === 'production'
+      ? environment.VERCEL_PROJECT_PRODUCTION_URL || environment.VERCEL_URL
+      : environment.VERCEL_BRANCH_URL || environment.VERCEL_URL;
+    if (host) return { url: /^https?:\/\//.test(host) ? host : `https://${host}`, source: 'Vercel' };
+  }
+  return null;
+}
+
+/**
+ * Decide which URL QR codes point at: qrCode.baseUrl, then a CNAME file in
+ * src/ or dist/, then Netlify or Vercel build variables, then the Pages URL
+ * of the git remote (GitHub, GitLab, Codeberg or qrCode.pagesDomains)
+ * @param {Object} settings - The `qrCode` config section
+ * @param {Object} options - { environment, srcDir, distDir, cwd, remoteUrl }
+ * @returns {Object} - { url, source }, with url null when nothing matched
+ */
+export function resolveBaseUrl(settings = {}, options = {}) {
+  const { environment = process.env, srcDir = null, distDir = null, cwd = process.cwd() } = options;
+
+  if (settings.baseUrl) {
+    return { url: settings.baseUrl, source: 'config' };
+  }
+
+  const cname = readCNAME([srcDir, distDir]);
+  if (cname) {
+    return { url: cname.url, source: cname.path };
+  }
+
+  // A Netlify or Vercel build is the deployed site, even when the repository is on GitHub
+  const hosting = getHostingUrl(environment);
+  if (hosting) {
+    return hosting;
+  }
+
+  // GitLab CI knows the project's Pages URL, including custom Pages domains
+  if (environment.CI_PAGES_URL) {
+    return { url: environment.CI_PAGES_URL, source: 'CI_PAGES_URL' };
+  }
+  const remoteUrl = options.remoteUrl !== undefined ? options.remoteUrl : getRemoteUrl(cwd);
+  const remote = remoteUrl ? parseRemoteUrl(remoteUrl) : null;
+  const pagesUrl = remote && getPagesUrl(remote, settings.pagesDomains);
+  if (pagesUrl) {
+    return { url: pagesUrl, source: `git remote (${remote.host})` };
+  }
+
+  return { url: null, source: null };
+}
+
+/**
+ * Link for a DOI, accepting "10.1234/x", "doi:10.1234/x" or a doi.org URL
+ * @param {string} doi - DOI as written in frontmatter
+ * @returns {string|null} - https://doi.org/ URL, or null if it is not a DOI
+ */
+export function getDOIUrl(doi) {
+  const value = String(doi || '').trim()
+    .replace(/^doi:\s*/i, '')
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+  return /^10\.\d{4,}\/\S+$/.test(value) ? `https://doi.org/${value.split('/').map(encodeURIComponent).join('/')}` : null;
+}
@@ -1,14 +1,25 @@
-import { readFile } from 'fs/promises';
-import { join, dirname } from 'path';
+import { readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname, basename, resolve } from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Print styles: the base stylesheet, named themes (a CSS bundle plus page
+ * settings) and a project's own CSS files, layered in that order.
+ *
+ * Built-in themes live in config/themes/<name>.json next to their CSS; more
+ * can be declared under `themes` in config.json, optionally extending another.
+ */
 export class StyleManager {
-  constructor() {
-    this.stylesPath = join(__dirname, '..', 'config', 'styles.css');
+  constructor(options = {}) {
+    this.stylesPath = options.stylesPath || join(__dirname, '..', 'config', 'styles.css');
+    this.themesDir = options.themesDir || join(__dirname, '..', 'config', 'themes');
     this.customStyles = null;
+    this.files = new Map();
+    this.themes = new Map();
   }
 
   async loadStyles() {
@@ -18,18 +29,91 @@ export class StyleManager {
     return this.customStyles;
   }
 
-  async injectStyles(html) {
-    const styles = await this.loadStyles();
-    
-    // Find the closing head tag and inject styles before it
-    const headEndIndex = html.indexOf('</head>');
-    if (headEndIndex === -1) {
-      throw new Error('No </head> tag found in HTML');
+  /**
+   * Read the built-in themes and the ones declared in config.json
+   * @param {Object} customThemes - The `themes` config section
+   * @param {string} baseDir - Directory that config style paths are relative to
+   * @returns {Promise<Map<string, Object>>} - Name → { name, source, description, extends, page, styles }
+   */
+  async loadThemes(customThemes = {}, baseDir = process.cwd()) {
+    const themes = new Map();
+    const add = (name, definition, source, directory) => {
+      const styles = [].concat(definition.styles || []).map(path => resolve(directory, path));
+      styles.forEach(path => {
+        if (!existsSync(path)) {
+          throw new Error(`Style file ${path} of theme "${name}" not found`);
+        }
+      });
+      themes.set(name, {
+        name,
+        source,
+        description: definition.description || '',
+        extends: definition.extends || null,
+        page: definition.page || {},
+        styles
+      });
+    };
+
+    const files = existsSync(this.themesDir) ? (await readdir(this.themesDir)).filter(file => file.endsWith('.json')).sort() : [];
+    for (const file of files) {
+      add(basename(file, '.json'), JSON.parse(await readFile(join(this.themesDir, file), 'utf8')), 'built-in', this.themesDir);
+    }
+    for (const [name, definition] of Object.entries(customThemes || {})) {
+      add(name, definition, 'config', baseDir);
+    }
+
+    this.themes = themes;
+    for (const name of themes.keys()) {
+      this.resolveTheme(name);
     }
+    return themes;
+  }
 
-    const styleTag = `\n<style id="pdf-export-styles">\n${styles}\n</style>\n`;
-    
-    return html.slice(0, headEndIndex) + styleTag + html.slice(headEndIndex);
+  /**
+   * Look up a theme with everything it extends folded in: the parent's page
+   * settings are overridden by the child's and its CSS comes first
+   * @param {string} name - Theme name
+   * @param {Array<string>} seen - Themes already followed, to catch cycles
+   * @returns {Object|null} - The theme, or null if there is none by that name
+   */
+  resolveTheme(name, seen = []) {
+    const theme = this.themes.get(name);
+    if (!theme || !theme.extends) {
+      return theme || null;
+    }
+    if (seen.includes(theme.extends)) {
+      throw new Error(`Theme "${name}" extends itself through "${theme.extends}"`);
+    }
+    const parent = this.resolveTheme(theme.extends, [...seen, name]);
+    if (!parent) {
+      throw new Error(`Theme "${name}" extends unknown theme "${theme.extends}"`);
+    }
+    return {
+      ...theme,
+      page: { ...parent.page, ...theme.page },
+      styles: [...parent.styles, ...theme.styles]
+    };
+  }
+
+  async readStyleFile(path) {
+    if (!this.files.has(path)) {
+      this.files.set(path, await readFile(path, 'utf8'));
+    }
+    return this.files.get(path);
+  }
+
+  /**
+   * Stylesheets for a page, in the order they are injected
+   * @param {Object|null} theme - Resolved theme, or null for the base styles only
+   * @param {Array<string>} projectStyles - The project's own CSS files (absolute paths)
+   * @returns {Promise<Array<string>>} - CSS: base, then theme, then project styles
+   */
+  async loadStyleLayers(theme = null, projectStyles = []) {
+    const layers = [await this.loadStyles()];
+    for (const path of [...(theme ? theme.styles : []), ...projectStyles]) {
+      layers.push(await this.readStyleFile(path));
+    }
+    return layers;
   }
 
   // Generate page-specific styles based on configuration
@@ -44,108 +128,31 @@ export class StyleManager {
       styles.push(`@page { size: ${pageConfig.format || 'A4'} landscape; }`);
     }
 
+    // Named page for wide tables moved to landscape (see tables.js)
+    styles.push(`@page pdf-landscape { size: ${pageConfig.format || 'A4'} landscape; }`);
+
     if (pageConfig.margin) {
       const { top, right, bottom, left } = pageConfig.margin;
       styles.push(`@page { margin: ${top} ${right} ${bottom} ${left}; }`);
     }
 
-    if (pageConfig.headerTemplate) {
-      styles.push(`@page { @top-center { content: "${pageConfig.headerTemplate}"; } }`);
-    }
-
-    if (pageConfig.footerTemplate) {
-      styles.push(`@page { @bottom-center { content: "${pageConfig.footerTemplate}"; } }`);
+    // Headers and footers are printed from headerTemplate/footerTemplate,
+    // so drop the default CSS footer to avoid numbering pages twice
+    if (pageConfig.headerTemplate || pageConfig.footerTemplate) {
+      styles.push('@page { @bottom-right { content: none; } }');
     }
 
     return styles.join('\n');
   }
-
-  // Apply document-specific overrides
-  applyDocumentOverrides(html, documentType) {
-    let modifiedHtml = html;
-
-    // Apply specific modifications based on document type
-    switch (documentType) {
-      case 'dashboard':
-        // For dashboards, we might want to preserve more width
-        modifiedHtml = modifiedHtml.replace(
-          /<body([^>]*)>/,
-          '<body$1 class="pdf-dashboard">'
-        );
-        break;
-      
-      case 'report':
-        // For reports, we might want more traditional styling
-        modifiedHtml = modifiedHtml.replace(
-          /<body([^>]*)>/,
-          '<body$1 class="pdf-report">'
-        );
-        break;
-      
-      case 'chart':
-        // For chart-heavy pages
-        modifiedHtml = modifiedHtml.replace(
-          /<body([^>]*)>/,
-          '<body$1 class="pdf-chart">'
-        );
-        break;
-    }
-
-    return modifiedHtml;
-  }
-
-  // Optimize SVGs for print
-  optimizeSVGs(html) {
-    // Add viewBox if missing and set explicit dimensions
-    return html.replace(/<svg([^>]*)>/g, (match, attrs) => {
-      if (!attrs.includes('viewBox')) {
-        // Try to extract width and height to create viewBox
-        const widthMatch = attrs.match(/width=["']?(\d+)/);
-        const heightMatch = attrs.match(/height=["']?(\d+)/);
-        
-        if (widthMatch && heightMatch) {
-          const width = widthMatch[1];
-          const height = heightMatch[1];
-          return `<svg${attrs} viewBox="0 0 ${width} ${height}">`;
-        }
-      }
-      return match;
-    });
-  }
-
-  // Ensure images have explicit dimensions
-  optimizeImages(html) {
-    // This is a simple implementation - in production you might want to
-    // actually read image dimensions
-    return html.replace(/<img([^>]*)>/g, (match, attrs) => {
-      if (!attrs.includes('width') && !attrs.includes('height')) {
-        return `<img${attrs} style="max-width: 100%; height: auto;">`;
-      }
-      return match;
-    });
-  }
-
-  // Full processing pipeline
-  async processForPDF(html, options = {}) {
-    let processedHtml = await this.injectStyles(html);
-    
-    if (options.documentType) {
-      processedHtml = this.applyDocumentOverrides(processedHtml, options.documentType);
-    }
-    
-    if (options.pageConfig) {
-      const pageStyles = this.generatePageStyles(options.pageConfig);
-      if (pageStyles) {
-        processedHtml = processedHtml.replace(
-          '</style>\n</head>',
-          `${pageStyles}\n</style>\n</head>`
-        );
-      }
-    }
-    
-    processedHtml = this.optimizeSVGs(processedHtml);
-    processedHtml = this.optimizeImages(processedHtml);
-    
-    return processedHtml;
-  }
-}
\ No newline at end of file
+}
+
+/**
+ * Mark the body with the document type and theme (pdf-report, pdf-theme-academic)
+ * so stylesheets can target them. Runs in the page through page.evaluate.
+ * @param {Object} options - { documentType, theme }
+ */
+export function addDocumentClasses({ documentType, theme }) {
+  const slug = value => String(value).toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+  if (documentType) document.body.classList.add(`pdf-${slug(documentType)}`);
+  if (theme) document.body.classList.add(`pdf-theme-${slug(theme)}`);
+}
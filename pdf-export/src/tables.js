@@ -0,0 +1,233 @@
+// Paper sizes in millimetres, portrait, for the formats Puppeteer accepts
+const PAPER_SIZES = {
+  letter: [215.9, 279.4],
+  legal: [215.9, 355.6],
+  tabloid: [279.4, 431.8],
+  ledger: [431.8, 279.4],
+  a0: [841, 1189],
+  a1: [594, 841],
+  a2: [420, 594],
+  a3: [297, 420],
+  a4: [210, 297],
+  a5: [148, 210],
+  a6: [105, 148]
+};
+
+// CSS pixels per unit; Chromium prints at 96 px per inch
+const PX_PER_UNIT = { px: 1, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, pt: 96 / 72 };
+
+/**
+ * Convert a CSS length such as "20mm" or a number of pixels to pixels
+ * @param {string|number} length - Length from the page configuration
+ * @returns {number} - Pixels
+ */
+export function toPixels(length) {
+  if (typeof length === 'number') return length;
+  const match = String(length || '0').trim().match(/^([\d.]+)\s*(px|in|cm|mm|pt)?$/);
+  if (!match) return 0;
+  return parseFloat(match[1]) * PX_PER_UNIT[match[2] || 'px'];
+}
+
+/**
+ * Size of the area inside the page margins
+ * @param {Object} pageConfig - Page configuration with format and margin
+ * @param {boolean} landscape - Orientation to measure
+ * @returns {Object} - { width, height } in CSS pixels
+ */
+export function getPrintableArea(pageConfig, landscape = Boolean(pageConfig.landscape)) {
+  const [short, long] = PAPER_SIZES[String(pageConfig.format || 'A4').toLowerCase()] || PAPER_SIZES.a4;
+  const width = (landscape ? long : short) * PX_PER_UNIT.mm;
+  const height = (landscape ? short : long) * PX_PER_UNIT.mm;
+  const margin = pageConfig.margin || {};
+
+  return {
+    width: width - toPixels(margin.left) - toPixels(margin.right),
+    height: height - toPixels(margin.top) - toPixels(margin.bottom)
+  };
+}
+
+/**
+ * Define window.pdfExportExpandTables, which loads every row of the
+ * Inputs.table views under a root element. Runs in the page; the input
+ * snapshots call it before copying a view.
+ */
+export function installTableExpansion() {
+  window.pdfExportExpandTables = (root = document) => {
+    let expanded = 0;
+    root.querySelectorAll('form').forEach(form => {
+      const table = form.querySelector('table');
+      if (!table) return;
+
+      // Inputs.table appends rows as its box scrolls; scroll until no more arrive
+      const rowCount = () => table.querySelectorAll('tbody tr').length;
+      const initialRows = rowCount();
+      for (let i = 0; i < 10000; i++) {
+        const before = rowCount();
+        form.scrollTop = form.scrollHeight;
+        form.dispatchEvent(new Event('scroll'));
+        if (rowCount() === before) break;
+      }
+
+      form.style.setProperty('max-height', 'none', 'important');
+      form.style.setProperty('height', 'auto', 'important');
+      form.style.setProperty('overflow', 'visible', 'important');
+      if (rowCount() > initialRows) expanded++;
+    });
+    return expanded;
+  };
+}
+
+/**
+ * Lay out tables for print. Runs in the page after installTableExpansion.
+ * Tables are expanded to all rows, small ones are kept together, wide ones
+ * move to landscape pages or get smaller type, and long ones are split into
+ * one table per page with the header repeated and a "(continued)" caption.
+ * @param {Object} options - { page, landscape, wide, minFontSize, split, continuedLabel, smallTableRows }
+ *   where page and landscape are the printable areas in the document's and in landscape orientation
+ * @returns {Array<Object>} - One entry per table, for logging
+ */
+export function layoutTables(options) {
+  const {
+    page,
+    landscape,
+    wide = 'auto',
+    minFontSize = 6,
+    split = true,
+    continuedLabel = '(continued)',
+    smallTableRows = 6
+  } = options;
+  const BASE_FONT_SIZE = 8;
+  // Measurements are taken on screen, so leave room for small differences in print
+  const PAGE_FILL = 0.92;
+
+  if (typeof window.pdfExportExpandTables === 'function') {
+    window.pdfExportExpandTables(document);
+  }
+
+  // Off-screen box at print width for measuring copies of a table
+  const measure = document.createElement('div');
+  measure.style.cssText = 'position: absolute; left: -100000px; top: 0; visibility: hidden;';
+  document.body.appendChild(measure);
+  const measureTable = (table, width, fontSize) => {
+    measure.style.width = `${width}px`;
+    const copy = table.cloneNode(true);
+    if (fontSize) {
+      copy.classList.add('pdf-table-shrink');
+      copy.style.setProperty('--pdf-table-font-size', `${fontSize}pt`);
+    }
+    measure.replaceChildren(copy);
+    return copy;
+  };
+
+  // Headings and numbered captions ("Table 2: ...") travel with the table below them
+  const isTitle = element => /^H[1-6]$/.test(element.tagName) || element.classList.contains('crossref-caption');
+
+  // Heading or caption that names the table, for the continuation caption
+  const titleOf = (table, anchor) => {
+    if (table.caption) return table.caption.textContent.trim();
+    for (let element = anchor.previousElementSibling; element; element = element.previousElementSibling) {
+      if (isTitle(element)) {
+        const copy = element.cloneNode(true);
+        copy.querySelectorAll('.footnote-ref').forEach(ref => ref.remove());
+        return copy.textContent.trim();
+      }
+      if (element.querySelector('table')) break;
+    }
+    return '';
+  };
+
+  const results = [];
+  const tables = Array.from(document.querySelectorAll('table'))
+    .filter(table => !table.closest('svg') && !table.closest('.pdf-table-continued'));
+
+  tables.forEach((table, index) => {
+    const rows = Array.from(table.querySelectorAll(':scope > tbody > tr, :scope > tr'));
+    const info = { index: index + 1, rows: rows.length, small: false, wide: null, fontSize: null, pages: 1 };
+    results.push(info);
+
+    // The element to move onto its own pages: the Observable cell, Inputs form or the table
+    const anchor = table.closest('.observablehq') || table.closest('form') || table;
+
+    if (rows.length <= smallTableRows) {
+      table.classList.add('small-table');
+      info.small = true;
+    }
+
+    // Wide tables: landscape if that is enough, otherwise (or also) smaller type
+    let area = page;
+    let fontSize = null;
+    if (wide !== 'none' && measureTable(table, page.width).offsetWidth > page.width + 1) {
+      const useLandscape = landscape.width > page.width && (wide === 'landscape' || wide === 'auto');
+      if (useLandscape) {
+        area = landscape;
+        info.wide = 'landscape';
+      }
+      if (wide !== 'landscape' && measureTable(table, area.width).offsetWidth > area.width + 1) {
+        fontSize = BASE_FONT_SIZE;
+        while (fontSize > minFontSize && measureTable(table, area.width, fontSize).offsetWidth > area.width + 1) {
+          fontSize = Math.max(minFontSize, fontSize - 0.5);
+        }
+        info.fontSize = fontSize;
+        info.wide = info.wide ? 'landscape, smaller type' : 'smaller type';
+      }
+
+      if (fontSize) {
+        table.classList.add('pdf-table-shrink');
+        table.style.setProperty('--pdf-table-font-size', `${fontSize}pt`);
+      }
+      if (area === landscape) {
+        anchor.classList.add('pdf-landscape');
+      }
+    }
+
+    // Long tables: one table per page, each with the header and a caption
+    const copy = measureTable(table, area.width, fontSize);
+    const pageHeight = area.height * PAGE_FILL;
+    if (!split || copy.offsetHeight <= pageHeight) return;
+
+    const head = copy.tHead ? copy.tHead.offsetHeight : 0;
+    const captionHeight = copy.querySelector(':scope > tbody > tr, :scope > tr')?.offsetHeight * 1.5 || 20;
+    const rowHeights = Array.from(copy.querySelectorAll(':scope > tbody > tr, :scope > tr')).map(row => row.offsetHeight);
+
+    const chunks = [];
+    let current = [];
+    let used = head + captionHeight;
+    rows.forEach((row, rowIndex) => {
+      if (current.length > 0 && used + rowHeights[rowIndex] > pageHeight) {
+        chunks.push(current);
+        current = [];
+        used = head + captionHeight;
+      }
+      current.push(row);
+      used += rowHeights[rowIndex];
+    });
+    chunks.push(current);
+    if (chunks.length < 2) return;
+
+    // Start the table on a fresh page so the chunks line up with pages;
+    // a heading or caption directly above moves with it
+    const previous = anchor.previousElementSibling;
+    (previous && isTitle(previous) ? previous : anchor).classList.add('pdf-page-break-before');
+
+    const title = titleOf(table, anchor);
+    let insertAfter = table;
+    chunks.slice(1).forEach(chunkRows => {
+      const part = table.cloneNode(false);
+      part.removeAttribute('id');
+      part.classList.add('pdf-table-continued');
+      part.classList.remove('small-table');
+      const caption = part.createCaption();
+      caption.textContent = title ? `${title} ${continuedLabel}` : continuedLabel;
+      if (table.tHead) part.appendChild(table.tHead.cloneNode(true));
+      const body = document.createElement('tbody');
+      chunkRows.forEach(row => body.appendChild(row));
+      part.appendChild(body);
+      insertAfter.after(part);
+      insertAfter = part;
+    });
+    info.pages = chunks.length;
+  });
+
+  measure.remove();
+  return results;
+}
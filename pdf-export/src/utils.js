@@ -3,29 +3,35 @@ import { mkdir } from 'fs/promises';
 import chalk from 'chalk';
 
 export class Logger {
-  constructor(verbose = true) {
+  constructor(verbose = true, silent = false) {
     this.verbose = verbose;
+    // Silent loggers print nothing; used when the converter runs as a library
+    this.silent = silent;
   }
 
   info(message) {
-    if (this.verbose) {
+    if (this.verbose && !this.silent) {
       console.log(chalk.blue('ℹ'), message);
     }
   }
 
   success(message) {
+    if (this.silent) return;
     console.log(chalk.green('✓'), message);
   }
 
   error(message) {
+    if (this.silent) return;
     console.error(chalk.red('✗'), message);
   }
 
   warn(message) {
+    if (this.silent) return;
     console.warn(chalk.yellow('⚠'), message);
   }
 
   progress(current, total, message) {
+    if (this.silent) return;
     const percentage = Math.round((current / total) * 100);
     console.log(chalk.cyan(`[${current}/${total}]`), `${percentage}%`, message);
   }
@@ -35,7 +41,10 @@ export async function ensureDirectory(dirPath) {
   await mkdir(dirPath, { recursive: true });
 }
 
-export function getDocumentType(filePath) {
+export function getDocumentType(filePath, frontmatter = {}) {
+  // An explicit type in the page frontmatter always wins
+  if (frontmatter.type) return String(frontmatter.type);
+  
   const fileName = basename(filePath, '.html');
   
   // Check for common patterns
@@ -53,7 +62,7 @@ export function generateOutputPath(inputPath, inputDir, outputDir) {
   return outputPath;
 }
 
-export function shouldExclude(filePath, excludePatterns) {
+export function shouldExclude(filePath, excludePatterns = []) {
   const relativePath = filePath;
   return excludePatterns.some(pattern => relativePath.includes(pattern));
 }
@@ -62,6 +71,22 @@ export async function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Run `worker` over `items` with at most `limit` calls in flight at any time
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  
+  await Promise.all(runners);
+  return results;
+}
+
 export function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ExportCache, getExporterVersion } from '../src/cache.js';
+
+test('page hashes change when the exporter or browser changes', async (t) => {
+  const distDir = await mkdtemp(join(tmpdir(), 'pdf-export-cache-'));
+  t.after(() => rm(distDir, { recursive: true, force: true }));
+  const filePath = join(distDir, 'index.html');
+  await writeFile(filePath, '<h1>Report</h1>');
+
+  const current = await getExporterVersion('HeadlessChrome/131.0.6778.204');
+  const upgraded = await getExporterVersion('HeadlessChrome/132.0.6834.83');
+  assert.notEqual(current, upgraded);
+  assert.equal(current, await getExporterVersion('HeadlessChrome/131.0.6778.204'));
+
+  const hash = exporter => new ExportCache(join(distDir, 'manifest.json'), distDir, { exporter }).computeHash(filePath, {});
+  assert.equal(await hash(current), await hash(current));
+  assert.notEqual(await hash(current), await hash(upgraded));
+});
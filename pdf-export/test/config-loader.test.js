@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadConfig } from '../src/config-loader.js';
+
+async function configDir(t, files) {
+  const dir = await mkdtemp(join(tmpdir(), 'pdf-export-config-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  for (const [name, config] of Object.entries(files)) {
+    await writeFile(join(dir, name), JSON.stringify(config));
+  }
+  return dir;
+}
+
+test('config.<env>.json is applied over config.json', async (t) => {
+  const dir = await configDir(t, {
+    'config.json': { qrCode: { baseUrl: 'https://example.org' } },
+    'config.staging.json': { qrCode: { baseUrl: 'https://staging.example.org' } }
+  });
+
+  const { config, sources } = await loadConfig({ configPath: join(dir, 'config.json'), env: 'staging', environment: {} });
+  assert.equal(config.qrCode.baseUrl, 'https://staging.example.org');
+  assert.equal(sources.length, 3);
+});
+
+test('a requested environment without a config file is an error', async (t) => {
+  const dir = await configDir(t, {
+    'config.json': { qrCode: { baseUrl: 'https://example.org' } }
+  });
+  const configPath = join(dir, 'config.json');
+
+  await assert.rejects(loadConfig({ configPath, env: 'staging', environment: {} }), /Environment "staging".*config\.staging\.json does not exist/);
+  await assert.rejects(loadConfig({ configPath, environment: { PDF_EXPORT_ENV: 'staging' } }), /config\.staging\.json does not exist/);
+});
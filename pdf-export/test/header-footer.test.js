@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandTemplate, getHeaderFooterStyles } from '../src/header-footer.js';
+
+test('templates expand to CSS strings and page counters', () => {
+  assert.equal(expandTemplate('Page {{page}} of {{pages}}'), '"Page " counter(page) " of " counter(pages)');
+  assert.equal(expandTemplate('{{title}} - {{date}}', { title: 'The "Ocean" Report', date: '2026-10-18' }),
+    '"The \\"Ocean\\" Report - 2026-10-18"');
+  assert.equal(expandTemplate('{{unknown}}'), '"{{unknown}}"');
+});
+
+test('headers and footers are hidden on the first page with CSS', () => {
+  const pageConfig = { headerTemplate: 'Report - {{title}}', footerTemplate: 'Page {{page}}', headerFooterOnFirstPage: false };
+  const styles = getHeaderFooterStyles(pageConfig, { title: 'Methods' });
+  assert.match(styles, /@top-center \{ content: "Report - Methods";/);
+  assert.match(styles, /@bottom-center \{ content: "Page " counter\(page\);/);
+  assert.match(styles, /@page :first \{\n {2}@top-center \{ content: none; \}\n {2}@bottom-center \{ content: none; \}\n\}/);
+
+  assert.doesNotMatch(getHeaderFooterStyles({ ...pageConfig, headerFooterOnFirstPage: true }, {}), /:first/);
+  assert.equal(getHeaderFooterStyles({}, {}), null);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveBaseUrl } from '../src/site-url.js';
+
+const remoteUrl = 'git@github.com:example/research-site.git';
+
+test('the git remote gives the GitHub Pages URL', () => {
+  assert.deepEqual(resolveBaseUrl({}, { environment: {}, remoteUrl }), {
+    url: 'https://example.github.io/research-site',
+    source: 'git remote (github.com)'
+  });
+});
+
+test('a Netlify build of a GitHub repository uses the Netlify URL', () => {
+  const environment = { NETLIFY: 'true', CONTEXT: 'production', URL: 'https://research-site.netlify.app' };
+  assert.deepEqual(resolveBaseUrl({}, { environment, remoteUrl }), {
+    url: 'https://research-site.netlify.app',
+    source: 'Netlify'
+  });
+});
+
+test('a Vercel build of a GitHub repository uses the Vercel URL', () => {
+  const environment = { VERCEL: '1', VERCEL_ENV: 'production', VERCEL_PROJECT_PRODUCTION_URL: 'research-site.vercel.app' };
+  assert.equal(resolveBaseUrl({}, { environment, remoteUrl }).url, 'https://research-site.vercel.app');
+});
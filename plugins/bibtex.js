@@ -0,0 +1,233 @@
+// A small BibTeX reader that turns entries into CSL-JSON items, the format the
+// citation styles work with. It covers what reference managers export: @string
+// macros, braces and quotes, "#" concatenation, name lists and common LaTeX.
+
+const TYPES = {
+  article: "article-journal",
+  book: "book",
+  booklet: "book",
+  inbook: "chapter",
+  incollection: "chapter",
+  inproceedings: "paper-conference",
+  conference: "paper-conference",
+  manual: "report",
+  mastersthesis: "thesis",
+  phdthesis: "thesis",
+  thesis: "thesis",
+  techreport: "report",
+  report: "report",
+  online: "webpage",
+  www: "webpage",
+  misc: "document",
+  unpublished: "manuscript"
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const ACCENTS = {
+  "'": {a: "á", e: "é", i: "í", o: "ó", u: "ú", y: "ý", c: "ć", n: "ń", s: "ś", z: "ź", A: "Á", E: "É", I: "Í", O: "Ó", U: "Ú", Y: "Ý"},
+  "`": {a: "à", e: "è", i: "ì", o: "ò", u: "ù", A: "À", E: "È", I: "Ì", O: "Ò", U: "Ù"},
+  "^": {a: "â", e: "ê", i: "î", o: "ô", u: "û", A: "Â", E: "Ê", I: "Î", O: "Ô", U: "Û"},
+  "\"": {a: "ä", e: "ë", i: "ï", o: "ö", u: "ü", y: "ÿ", A: "Ä", E: "Ë", I: "Ï", O: "Ö", U: "Ü"},
+  "~": {a: "ã", n: "ñ", o: "õ", A: "Ã", N: "Ñ", O: "Õ"},
+  c: {c: "ç", C: "Ç"},
+  v: {c: "č", s: "š", z: "ž", r: "ř", e: "ě", C: "Č", S: "Š", Z: "Ž", R: "Ř"}
+};
+
+const SYMBOLS = {ss: "ß", o: "ø", O: "Ø", ae: "æ", AE: "Æ", aa: "å", AA: "Å", l: "ł", L: "Ł", i: "ı"};
+
+/**
+ * Replace LaTeX accents, escapes and dashes with plain text and drop grouping braces
+ * @param {string} value - Field value as written in the .bib file
+ * @returns {string} - Plain text
+ */
+export function latexToText(value) {
+  return value
+    .replace(/\\([`'^"~])\s*\{?\\?([A-Za-z])\}?/g, (match, accent, letter) => ACCENTS[accent][letter] || letter)
+    .replace(/\\([cv])\s*\{([A-Za-z])\}/g, (match, accent, letter) => ACCENTS[accent][letter] || letter)
+    .replace(/\{?\\(ss|ae|AE|aa|AA|o|O|l|L|i)\}?(?![A-Za-z])/g, (match, name) => SYMBOLS[name])
+    .replace(/\\(?:textit|emph|textbf|textsc|textrm|mathrm)\s*\{([^{}]*)\}/g, "$1")
+    .replace(/\\([&%$#_{}])/g, "$1")
+    .replace(/---/g, "—")
+    .replace(/--/g, "–")
+    .replace(/~/g, " ")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Split on a top-level separator (one not inside braces)
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "{") depth++;
+    else if (value[i] === "}") depth--;
+    else if (depth === 0 && separator.test(value.slice(i))) {
+      const match = value.slice(i).match(separator);
+      parts.push(value.slice(start, i));
+      i += match[0].length - 1;
+      start = i + 1;
+    }
+  }
+  parts.push(value.slice(start));
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a BibTeX name list ("Smith, John and Jane Doe and {World Health Organization}")
+ * @param {string} value - Raw field value
+ * @returns {Array<Object>} - CSL names: { family, given } or { literal }
+ */
+export function parseNames(value) {
+  // "and others" only marks a truncated list; the styles shorten long lists themselves
+  return splitTopLevel(value, /^\s+and\s+/i).filter((name) => name !== "others").map((name) => {
+    // A fully braced name is an organisation and is kept as written
+    if (name.startsWith("{") && readDelimited(name, 0)[1] === name.length) {
+      return {literal: latexToText(name)};
+    }
+    const parts = splitTopLevel(name, /^,/);
+    if (parts.length >= 2) {
+      return {family: latexToText(parts[0]), given: latexToText(parts[parts.length - 1])};
+    }
+    const words = splitTopLevel(name, /^\s+/);
+    if (words.length === 1) return {family: latexToText(words[0])};
+    // "Ludwig van Beethoven": lowercase particles belong to the family name
+    let index = words.length - 1;
+    while (index > 1 && /^[a-z]/.test(words[index - 1])) index--;
+    return {family: latexToText(words.slice(index).join(" ")), given: latexToText(words.slice(0, index).join(" "))};
+  });
+}
+
+// Read a value in braces, quotes or parentheses starting at `index`; returns [value, end]
+function readDelimited(text, index) {
+  const close = {"{": "}", "\"": "\"", "(": ")"}[text[index]];
+  let depth = 0;
+  for (let i = index + 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === close && depth === 0) {
+      return [text.slice(index + 1, i), i + 1];
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+    }
+  }
+  throw new Error(`Unterminated value starting "${text.slice(index, index + 30)}"`);
+}
+
+// Parse the comma-separated field list of one entry
+function readFields(body, strings) {
+  const fields = {};
+  let index = 0;
+  const skipSpace = () => {
+    while (index < body.length && /[\s,]/.test(body[index])) index++;
+  };
+
+  skipSpace();
+  while (index < body.length) {
+    const name = body.slice(index).match(/^[\w:.-]+/);
+    if (!name) break;
+    index += name[0].length;
+    while (/\s/.test(body[index])) index++;
+    if (body[index] !== "=") break;
+    index++;
+
+    // value = part # part # ...
+    let value = "";
+    for (;;) {
+      while (/\s/.test(body[index])) index++;
+      if (body[index] === "{" || body[index] === "\"") {
+        const [part, end] = readDelimited(body, index);
+        value += part;
+        index = end;
+      } else {
+        const word = body.slice(index).match(/^[^\s,#}]+/);
+        if (!word) break;
+        value += strings[word[0].toLowerCase()] ?? word[0];
+        index += word[0].length;
+      }
+      while (/\s/.test(body[index])) index++;
+      if (body[index] !== "#") break;
+      index++;
+    }
+    fields[name[0].toLowerCase()] = value;
+    skipSpace();
+  }
+  return fields;
+}
+
+function toItem(type, id, fields) {
+  const item = {id, type: TYPES[type] || "document"};
+  const text = (name) => (fields[name] !== undefined ? latexToText(fields[name]) : undefined);
+  const set = (key, value) => {
+    if (value !== undefined && value !== "") item[key] = value;
+  };
+
+  set("title", text("title"));
+  set("container-title", text("journal") ?? text("journaltitle") ?? text("booktitle"));
+  set("collection-title", text("series"));
+  set("volume", text("volume"));
+  set("issue", text("number") ?? text("issue"));
+  set("page", text("pages"));
+  set("edition", text("edition"));
+  set("publisher", text("publisher") ?? text("institution") ?? text("school") ?? text("organization"));
+  set("publisher-place", text("address") ?? text("location"));
+  set("DOI", fields.doi && fields.doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, "").trim());
+  set("URL", fields.url && fields.url.trim());
+  set("ISBN", text("isbn"));
+  set("note", text("note"));
+  if (type === "phdthesis") item.genre = "PhD thesis";
+  if (type === "mastersthesis") item.genre = "Master's thesis";
+  if (fields.author) item.author = parseNames(fields.author);
+  if (fields.editor) item.editor = parseNames(fields.editor);
+
+  const date = text("date");
+  const year = text("year");
+  if (date && /^\d{4}/.test(date)) {
+    item.issued = {"date-parts": [date.split(/[-/]/).map(Number).filter(Boolean)]};
+  } else if (year && /^\d{4}$/.test(year)) {
+    const parts = [Number(year)];
+    const month = text("month");
+    const monthIndex = month ? MONTHS.indexOf(month.slice(0, 3).toLowerCase()) : -1;
+    if (monthIndex >= 0) parts.push(monthIndex + 1);
+    else if (month && /^\d{1,2}$/.test(month)) parts.push(Number(month));
+    item.issued = {"date-parts": [parts]};
+  } else if (year) {
+    item.issued = {literal: year};
+  }
+  return item;
+}
+
+/**
+ * Parse a BibTeX file into CSL-JSON items
+ * @param {string} source - Contents of a .bib file
+ * @returns {Array<Object>} - CSL-JSON items, keyed by `id` (the citation key)
+ */
+export function parseBibTeX(source) {
+  const items = [];
+  const strings = Object.fromEntries(MONTHS.map((month) => [month, month]));
+  const entry = /@(\w+)\s*[{(]/g;
+  let match;
+
+  while ((match = entry.exec(source))) {
+    const type = match[1].toLowerCase();
+    const start = match.index + match[0].length - 1;
+    const [body, end] = readDelimited(source, start);
+    entry.lastIndex = end;
+
+    if (type === "comment" || type === "preamble") continue;
+    if (type === "string") {
+      Object.assign(strings, readFields(body, strings));
+      continue;
+    }
+
+    const comma = body.indexOf(",");
+    if (comma < 0) continue;
+    items.push(toItem(type, body.slice(0, comma).trim(), readFields(body.slice(comma + 1), strings)));
+  }
+  return items;
+}
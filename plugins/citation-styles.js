@@ -0,0 +1,302 @@
+// Citation styles for plugins/markdown-it-citations.js, working on CSL-JSON
+// items. Each style formats in-text citations and bibliography entries as HTML:
+//
+// - apa: APA 7th edition, author-date, "(Smith & Jones, 2024, p. 12)"
+// - chicago: Chicago 17th edition author-date, "(Smith and Jones 2024, 12)"
+// - vancouver: numbered in order of first citation, "(1, 2)"
+
+export function escapeHTML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const italic = (value) => `<i>${escapeHTML(value)}</i>`;
+
+// Add closing punctuation unless the text already ends with some
+const close = (text, mark = ".") => (/[.?!]$/.test(text.replace(/<[^>]+>/g, "")) ? text : text + mark);
+
+export function getYear(item) {
+  const issued = item.issued;
+  if (issued && issued["date-parts"] && issued["date-parts"][0] && issued["date-parts"][0][0]) {
+    return String(issued["date-parts"][0][0]);
+  }
+  return issued && issued.literal ? String(issued.literal) : null;
+}
+
+const initials = (given = "", separator = ". ", trailing = ".") =>
+  given.split(/[\s.]+/).filter(Boolean)
+    .map((part) => part.split("-").map((piece) => piece[0].toUpperCase()).join(`${trailing}-`))
+    .join(separator) + (given ? trailing : "");
+
+const ordinal = (value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number)) return value;
+  const suffix = number % 100 >= 11 && number % 100 <= 13 ? "th" : ({1: "st", 2: "nd", 3: "rd"})[number % 10] || "th";
+  return `${number}${suffix}`;
+};
+
+const pageRange = (page = "") => String(page).replace(/\s*-+\s*/g, "–");
+
+function doiOrURL(item) {
+  if (item.DOI) {
+    const url = `https://doi.org/${item.DOI}`;
+    return `<a href="${escapeHTML(url)}">${escapeHTML(url)}</a>`;
+  }
+  if (item.URL) return `<a href="${escapeHTML(item.URL)}">${escapeHTML(item.URL)}</a>`;
+  return "";
+}
+
+/**
+ * Split a locator such as "p. 12", "pp. 3-4" or "ch. 2" into label and value
+ * @param {string} locator - Text after the comma in a citation
+ * @returns {Object|null} - { label, value } where label is "page", "chapter", … or null
+ */
+export function parseLocator(locator) {
+  if (!locator) return null;
+  const match = locator.match(/^(pp?|pages?|ch|chap|chapters?|sec|section|para|§)\.?\s*(.+)$/i);
+  if (!match) {
+    return /^[\divxlc]+([-–][\divxlc]+)?$/i.test(locator.trim())
+      ? {label: "page", value: locator.trim()}
+      : {label: null, value: locator.trim()};
+  }
+  const label = match[1].toLowerCase();
+  return {
+    label: /^p/.test(label) ? "page" : /^ch/.test(label) ? "chapter" : /^(sec|§)/.test(label) ? "section" : "paragraph",
+    value: match[2].trim()
+  };
+}
+
+// Shared by the author-date styles: "Smith", "Smith & Jones", "Smith et al."
+function authorDateNames(item, {and, etAl}) {
+  const names = item.author || item.editor || [];
+  const short = names.map((name) => name.literal || name.family);
+  if (short.length === 0) return null;
+  if (short.length === 1) return short[0];
+  if (short.length === 2) return `${short[0]} ${and} ${short[1]}`;
+  if (short.length < etAl) return `${short.slice(0, -1).join(", ")}, ${and} ${short[short.length - 1]}`;
+  return `${short[0]} et al.`;
+}
+
+// Title used in place of a missing author
+const shortTitle = (item) => (item.type === "book" || item.type === "report" ? italic(item.title) : `“${escapeHTML(item.title)}”`);
+
+// Author-date citation: "(Smith, 2024; Jones, 2023, p. 12)" or "Smith (2024)"
+function authorDateCitation(style, cites, {narrative}) {
+  const parts = cites.map((cite) => {
+    const {item} = cite;
+    const names = authorDateNames(item, {and: narrative ? "and" : style.and, etAl: style.etAl});
+    const year = `${getYear(item) || "n.d."}${cite.suffixLetter || ""}`;
+    const locator = style.locator(parseLocator(cite.locator));
+    const author = names ? escapeHTML(names) : shortTitle(item);
+
+    let text;
+    if (narrative) {
+      text = `${author} (${year}${locator ? `${style.locatorSeparator}${escapeHTML(locator)}` : ""})`;
+    } else {
+      const date = `${year}${locator ? `${style.locatorSeparator}${escapeHTML(locator)}` : ""}`;
+      text = cite.suppressAuthor ? date : `${author}${style.nameSeparator}${date}`;
+    }
+    return {cite, text};
+  });
+  return parts;
+}
+
+const apa = {
+  type: "author-date",
+  and: "&",
+  etAl: 3,
+  nameSeparator: ", ",
+  locatorSeparator: ", ",
+  sort: "author",
+  locator(locator) {
+    if (!locator) return "";
+    if (locator.label === "page") return `${/[-–,]/.test(locator.value) ? "pp." : "p."} ${pageRange(locator.value)}`;
+    if (locator.label === "chapter") return `Chapter ${locator.value}`;
+    if (locator.label === "section") return `Section ${locator.value}`;
+    if (locator.label === "paragraph") return `para. ${locator.value}`;
+    return locator.value;
+  },
+  citation(cites, options) {
+    return authorDateCitation(this, cites, options);
+  },
+  names(names = []) {
+    const formatted = names.map((name) => name.literal || [name.family, initials(name.given)].filter(Boolean).join(", "));
+    if (formatted.length === 1) return formatted[0];
+    if (formatted.length <= 20) return `${formatted.slice(0, -1).join(", ")}, & ${formatted[formatted.length - 1]}`;
+    return `${formatted.slice(0, 19).join(", ")}, … ${formatted[formatted.length - 1]}`;
+  },
+  bibliography(item, {suffixLetter = ""} = {}) {
+    const names = item.author ? escapeHTML(this.names(item.author)) : null;
+    const editors = item.editor ? escapeHTML(this.names(item.editor)) : null;
+    const date = `(${getYear(item) || "n.d."}${suffixLetter}).`;
+    const edition = item.edition ? ` (${escapeHTML(/^\d+$/.test(item.edition) ? `${ordinal(item.edition)} ed.` : item.edition)})` : "";
+    const publisher = item.publisher ? ` ${close(escapeHTML(item.publisher))}` : "";
+    const link = doiOrURL(item);
+    const parts = [];
+
+    const lead = names || (editors ? `${editors} (${item.editor.length > 1 ? "Eds." : "Ed."})` : null);
+    switch (item.type) {
+      case "article-journal": {
+        const volume = item.volume ? `, ${italic(item.volume)}${item.issue ? `(${escapeHTML(item.issue)})` : ""}` : "";
+        const pages = item.page ? `, ${escapeHTML(pageRange(item.page))}` : "";
+        parts.push(lead ? `${close(lead)} ${date}` : `${close(escapeHTML(item.title))} ${date}`);
+        if (lead) parts.push(close(escapeHTML(item.title)));
+        if (item["container-title"]) parts.push(`${italic(item["container-title"])}${volume}${pages}.`);
+        break;
+      }
+      case "chapter":
+      case "paper-conference": {
+        parts.push(`${close(lead || escapeHTML(item.title))} ${date}`);
+        if (lead) parts.push(close(escapeHTML(item.title)));
+        if (item["container-title"]) {
+          const inEditors = names && editors ? `${editors} (${item.editor.length > 1 ? "Eds." : "Ed."}), ` : "";
+          const pages = item.page ? ` (pp. ${escapeHTML(pageRange(item.page))})` : "";
+          parts.push(`In ${inEditors}${italic(item["container-title"])}${pages}.`);
+        }
+        if (publisher) parts.push(publisher.trim());
+        break;
+      }
+      default: {
+        const genre = item.genre ? ` [${escapeHTML(item.genre)}]` : "";
+        parts.push(lead ? `${close(lead)} ${date}` : `${close(italic(item.title))} ${date}`);
+        if (lead) parts.push(`${italic(item.title)}${edition}${genre}.`);
+        // A group author that is also the publisher is not repeated
+        if (publisher && !(item.author && item.author[0].literal === item.publisher)) parts.push(publisher.trim());
+      }
+    }
+    if (link) parts.push(link);
+    return parts.join(" ");
+  }
+};
+
+const chicago = {
+  type: "author-date",
+  and: "and",
+  etAl: 4,
+  nameSeparator: " ",
+  locatorSeparator: ", ",
+  sort: "author",
+  locator(locator) {
+    if (!locator) return "";
+    if (locator.label === "page") return pageRange(locator.value);
+    if (locator.label === "chapter") return `chap. ${locator.value}`;
+    if (locator.label === "section") return `sec. ${locator.value}`;
+    if (locator.label === "paragraph") return `para. ${locator.value}`;
+    return locator.value;
+  },
+  citation(cites, options) {
+    return authorDateCitation(this, cites, options);
+  },
+  names(names = []) {
+    const formatted = names.map((name, index) => name.literal ||
+      (index === 0 ? [name.family, name.given].filter(Boolean).join(", ") : [name.given, name.family].filter(Boolean).join(" ")));
+    if (formatted.length === 1) return formatted[0];
+    if (formatted.length === 2) return `${formatted[0]}, and ${formatted[1]}`;
+    if (formatted.length > 10) return `${formatted.slice(0, 7).join(", ")}, et al`;
+    return `${formatted.slice(0, -1).join(", ")}, and ${formatted[formatted.length - 1]}`;
+  },
+  bibliography(item, {suffixLetter = ""} = {}) {
+    const names = item.author ? escapeHTML(this.names(item.author)) : null;
+    const editors = item.editor ? escapeHTML(this.names(item.editor)) : null;
+    const year = `${getYear(item) || "n.d."}${suffixLetter}.`;
+    const edition = item.edition ? ` ${escapeHTML(/^\d+$/.test(item.edition) ? `${ordinal(item.edition)} ed` : item.edition)}.` : "";
+    const place = [item["publisher-place"], item.publisher].filter(Boolean).map(escapeHTML).join(": ");
+    const link = doiOrURL(item);
+    const parts = [];
+
+    const lead = names || (editors ? `${editors}, ${item.editor.length > 1 ? "eds" : "ed"}` : null);
+    switch (item.type) {
+      case "article-journal": {
+        parts.push(lead ? `${close(lead)} ${year}` : `“${close(escapeHTML(item.title))}” ${year}`);
+        if (lead) parts.push(`“${close(escapeHTML(item.title))}”`);
+        const volume = item.volume ? ` ${escapeHTML(item.volume)}` : "";
+        const issue = item.issue ? ` (${escapeHTML(item.issue)})` : "";
+        const pages = item.page ? `: ${escapeHTML(pageRange(item.page))}` : "";
+        if (item["container-title"]) parts.push(`${italic(item["container-title"])}${volume}${issue}${pages}.`);
+        break;
+      }
+      case "chapter":
+      case "paper-conference": {
+        parts.push(`${close(lead || escapeHTML(item.title))} ${year}`);
+        if (lead) parts.push(`“${close(escapeHTML(item.title))}”`);
+        if (item["container-title"]) {
+          const inEditors = names && editors ? `, edited by ${escapeHTML(item.editor.map((name) => name.literal || [name.given, name.family].filter(Boolean).join(" ")).join(" and "))}` : "";
+          const pages = item.page ? `, ${escapeHTML(pageRange(item.page))}` : "";
+          parts.push(`In ${italic(item["container-title"])}${inEditors}${pages}.`);
+        }
+        if (place) parts.push(`${place}.`);
+        break;
+      }
+      default: {
+        const genre = item.genre ? ` ${escapeHTML(item.genre)}.` : "";
+        parts.push(lead ? `${close(lead)} ${year}` : `${close(italic(item.title))} ${year}`);
+        if (lead) parts.push(`${close(italic(item.title))}${edition}${genre}`);
+        if (place) parts.push(`${place}.`);
+      }
+    }
+    if (link) parts.push(`${link}.`);
+    return parts.join(" ");
+  }
+};
+
+const vancouver = {
+  type: "numeric",
+  sort: "citation",
+  locator(locator) {
+    if (!locator) return "";
+    if (locator.label === "page") return `${/[-–,]/.test(locator.value) ? "pp." : "p."} ${pageRange(locator.value)}`;
+    if (locator.label === "chapter") return `ch. ${locator.value}`;
+    if (locator.label === "section") return `sec. ${locator.value}`;
+    return locator.value;
+  },
+  citation(cites, {narrative}) {
+    return cites.map((cite) => {
+      const locator = this.locator(parseLocator(cite.locator));
+      const number = `${cite.number}${locator ? `, ${escapeHTML(locator)}` : ""}`;
+      if (!narrative) return {cite, text: number};
+      const names = authorDateNames(cite.item, {and: "and", etAl: 3});
+      return {cite, text: `${names ? escapeHTML(names) : shortTitle(cite.item)} (${number})`};
+    });
+  },
+  names(names = []) {
+    const formatted = names.map((name) => name.literal || [name.family, initials(name.given, "", "")].filter(Boolean).join(" "));
+    return formatted.length > 6 ? `${formatted.slice(0, 6).join(", ")}, et al` : formatted.join(", ");
+  },
+  bibliography(item) {
+    const names = item.author ? escapeHTML(this.names(item.author)) : null;
+    const editors = item.editor ? `${escapeHTML(this.names(item.editor))}, editor${item.editor.length > 1 ? "s" : ""}` : null;
+    const year = getYear(item) || "";
+    const edition = item.edition ? ` ${escapeHTML(/^\d+$/.test(item.edition) ? `${ordinal(item.edition)} ed` : item.edition)}.` : "";
+    const place = [item["publisher-place"], item.publisher].filter(Boolean).map(escapeHTML).join(": ");
+    const link = item.DOI ? `doi:<a href="https://doi.org/${escapeHTML(item.DOI)}">${escapeHTML(item.DOI)}</a>` : doiOrURL(item);
+    const parts = [];
+
+    if (names || editors) parts.push(close(names || editors));
+    parts.push(close(escapeHTML(item.title || "")));
+    switch (item.type) {
+      case "article-journal": {
+        const volume = item.volume ? `;${escapeHTML(item.volume)}${item.issue ? `(${escapeHTML(item.issue)})` : ""}` : "";
+        const pages = item.page ? `:${escapeHTML(String(item.page).replace(/\s*[-–]+\s*/g, "-"))}` : "";
+        if (item["container-title"]) parts.push(`${escapeHTML(item["container-title"])}. ${escapeHTML(year)}${volume}${pages}.`);
+        break;
+      }
+      case "chapter":
+      case "paper-conference": {
+        const inEditors = names && item.editor ? `${escapeHTML(this.names(item.editor))}, editor${item.editor.length > 1 ? "s" : ""}. ` : "";
+        if (item["container-title"]) parts.push(`In: ${inEditors}${close(escapeHTML(item["container-title"]))}`);
+        parts.push(`${place ? `${place}; ` : ""}${escapeHTML(year)}.${item.page ? ` p. ${escapeHTML(pageRange(item.page))}.` : ""}`);
+        break;
+      }
+      default:
+        if (edition) parts.push(edition.trim());
+        parts.push(`${place ? `${place}; ` : ""}${escapeHTML(year)}.`);
+    }
+    if (link) parts.push(link);
+    return parts.join(" ");
+  }
+};
+
+export const STYLES = {apa, chicago, vancouver};
@@ -0,0 +1,226 @@
+// Citations and a generated bibliography, for markdown-it.
+//
+// Citations use Pandoc syntax and are resolved against a BibTeX (.bib) or
+// CSL-JSON (.json) bibliography:
+//
+//   [@smith2024]                  (Smith, 2024)
+//   [see @smith2024; @jones2023, p. 12]
+//   [-@smith2024]                 the year only
+//   @smith2024 says …             Smith (2024) says …
+//   @smith2024 [p. 12] says …     Smith (2024, p. 12) says …
+//
+// Each page gets a References section listing the works it cites, at the end of
+// the page or in place of a <div id="refs"></div>. Citations link to their entry,
+// which the PDF export keeps as internal links. Cross-references such as
+// @fig:name and @tbl:name (plugins/markdown-it-crossref.js) are left alone.
+
+import {existsSync, readFileSync} from "node:fs";
+import {extname} from "node:path";
+import {parseBibTeX} from "./bibtex.js";
+import {STYLES, escapeHTML, getYear} from "./citation-styles.js";
+
+export {STYLES};
+
+const DEFAULT_BIBLIOGRAPHY = ["src/references.bib", "src/references.json"];
+
+const KEY = "[A-Za-z0-9_](?:[\\w:.#$%&+?<>~/-]*[A-Za-z0-9_])?";
+const CITE = new RegExp(`^\\s*(.*?)(-?)@(${KEY})(.*)$`, "s");
+const NARRATIVE = new RegExp(`(^|[^\\w.@/])@(${KEY})(?:\\s?\\[([^\\]@]+)\\])?`, "g");
+const CROSSREF = /^(fig|tbl):/;
+const REFS_PLACEHOLDER = /^<div id="refs">\s*<\/div>\s*$/;
+
+/**
+ * Load one or more .bib or CSL-JSON files
+ * @param {string|Array<string>} paths - Bibliography files
+ * @returns {Map<string, Object>} - Citation key → CSL-JSON item
+ */
+export function loadBibliography(paths) {
+  const items = new Map();
+  for (const path of [].concat(paths)) {
+    const source = readFileSync(path, "utf8");
+    const entries = extname(path).toLowerCase() === ".bib" ? parseBibTeX(source) : JSON.parse(source);
+    for (const item of [].concat(entries)) {
+      if (item && item.id) items.set(String(item.id), item);
+    }
+  }
+  return items;
+}
+
+// "see @a; @b, p. 12" → [{ prefix, id, suppressAuthor, locator, suffix }], or null if not a citation
+function parseCitations(content) {
+  const cites = [];
+  for (const part of content.split(";")) {
+    const match = part.match(CITE);
+    if (!match || match[1].includes("@")) return null;
+    const [, prefix, dash, id, rest] = match;
+    const cite = {prefix: prefix.trim(), id, suppressAuthor: dash === "-", locator: null, suffix: ""};
+    if (rest.trim().startsWith(",")) {
+      cite.locator = rest.trim().slice(1).trim();
+    } else {
+      cite.suffix = rest.trim();
+    }
+    cites.push(cite);
+  }
+  return cites.length > 0 && !cites.every((cite) => CROSSREF.test(cite.id)) ? cites : null;
+}
+
+// Key for sorting an author-date bibliography: first author, year, title
+function sortKey(item) {
+  const first = (item.author || item.editor || [])[0];
+  const name = first ? first.literal || `${first.family} ${first.given || ""}` : item.title || "";
+  return `${name.toLowerCase()}\u0000${getYear(item) || ""}\u0000${(item.title || "").toLowerCase()}`;
+}
+
+// Authors and year as shown in the text, to find works that need 2024a, 2024b
+function citedAs(item) {
+  const names = (item.author || item.editor || []).map((name) => name.literal || name.family).join("|");
+  return `${names}\u0000${getYear(item) || "n.d."}`;
+}
+
+export default function citations(md, options = {}) {
+  const warn = options.warn || ((message) => console.warn(message));
+  const title = options.referencesTitle === undefined ? "References" : options.referencesTitle;
+  const style = typeof options.style === "object" ? options.style : STYLES[(options.style || "apa").toLowerCase()];
+  if (!style) {
+    throw new Error(`Unknown citation style "${options.style}" (available: ${Object.keys(STYLES).join(", ")})`);
+  }
+
+  const paths = options.bibliography ? [].concat(options.bibliography) : DEFAULT_BIBLIOGRAPHY.filter((path) => existsSync(path));
+  const items = paths.length > 0 ? loadBibliography(paths) : new Map();
+
+  // [@key; …] citations, tried before links so "[@key]" is not read as a link label
+  md.inline.ruler.before("link", "citation", (state, silent) => {
+    if (state.src.charCodeAt(state.pos) !== 0x5b /* [ */) return false;
+    const end = state.md.helpers.parseLinkLabel(state, state.pos, false);
+    if (end < 0 || state.src[end + 1] === "(" || state.src[end + 1] === "[") return false;
+    const cites = parseCitations(state.src.slice(state.pos + 1, end));
+    if (!cites) return false;
+
+    if (!silent) {
+      const token = state.push("citation", "", 0);
+      token.meta = {cites, narrative: false};
+    }
+    state.pos = end + 1;
+    return true;
+  });
+
+  // @key in running text, for keys that are in the bibliography
+  const splitNarrative = (content, state) => {
+    const tokens = [];
+    let last = 0;
+    for (const match of content.matchAll(NARRATIVE)) {
+      const [whole, before, id, locator] = match;
+      if (!items.has(id)) continue;
+      const start = match.index + before.length;
+      if (start > last) {
+        const text = new state.Token("text", "", 0);
+        text.content = content.slice(last, start);
+        tokens.push(text);
+      }
+      const token = new state.Token("citation", "", 0);
+      token.meta = {cites: [{prefix: "", id, suppressAuthor: false, locator: locator ? locator.trim() : null, suffix: ""}], narrative: true};
+      tokens.push(token);
+      last = match.index + whole.length;
+    }
+    if (last === 0) return null;
+    if (last < content.length) {
+      const text = new state.Token("text", "", 0);
+      text.content = content.slice(last);
+      tokens.push(text);
+    }
+    return tokens;
+  };
+
+  md.core.ruler.after("inline", "citations", (state) => {
+    const citationTokens = [];
+    for (const token of state.tokens) {
+      if (token.type !== "inline") continue;
+      let inLink = 0;
+      token.children = token.children.flatMap((child) => {
+        if (child.type === "link_open") inLink++;
+        if (child.type === "link_close") inLink--;
+        if (child.type !== "text" || inLink > 0 || !child.content.includes("@")) return [child];
+        return splitNarrative(child.content, state) || [child];
+      });
+      citationTokens.push(...token.children.filter((child) => child.type === "citation"));
+    }
+    if (citationTokens.length === 0) return;
+
+    // Number works in order of first citation and note the ones not in the bibliography
+    const cited = new Map();
+    for (const token of citationTokens) {
+      for (const cite of token.meta.cites) {
+        cite.item = items.get(cite.id) || null;
+        if (!cite.item) {
+          warn(`Unknown citation key @${cite.id}`);
+        } else if (!cited.has(cite.id)) {
+          cited.set(cite.id, {item: cite.item, number: cited.size + 1, suffixLetter: ""});
+        }
+      }
+    }
+
+    // Same authors and year: 2024a, 2024b, in title order
+    if (style.type === "author-date") {
+      const groups = new Map();
+      for (const entry of cited.values()) {
+        const key = citedAs(entry.item);
+        groups.set(key, [...(groups.get(key) || []), entry]);
+      }
+      for (const group of groups.values()) {
+        if (group.length < 2) continue;
+        group.sort((a, b) => sortKey(a.item).localeCompare(sortKey(b.item)));
+        group.forEach((entry, index) => {
+          entry.suffixLetter = String.fromCharCode(97 + index);
+        });
+      }
+    }
+
+    for (const token of citationTokens) {
+      token.meta.html = renderCitation(token.meta, cited);
+    }
+
+    const entries = [...cited.entries()];
+    if (style.sort === "author") {
+      entries.sort(([, a], [, b]) => sortKey(a.item).localeCompare(sortKey(b.item)));
+    }
+    if (entries.length === 0) return;
+
+    const html = renderBibliography(entries);
+    const placeholder = state.tokens.find((token) => token.type === "html_block" && REFS_PLACEHOLDER.test(token.content));
+    if (placeholder) {
+      placeholder.content = html;
+    } else {
+      const token = new state.Token("html_block", "", 0);
+      token.content = html;
+      state.tokens.push(token);
+    }
+  });
+
+  function renderCitation({cites, narrative}, cited) {
+    const known = cites.filter((cite) => cite.item).map((cite) => ({...cite, ...cited.get(cite.id)}));
+    const formatted = new Map(style.citation(known, {narrative}).map(({cite, text}) => [cite.id, text]));
+    const parts = cites.map((cite) => {
+      const text = cite.item
+        ? `<a href="#ref-${escapeHTML(cite.id)}" class="citation-link">${formatted.get(cite.id)}</a>`
+        : `<span class="citation-missing">@${escapeHTML(cite.id)}</span>`;
+      return [cite.prefix && escapeHTML(cite.prefix), text, cite.suffix && escapeHTML(cite.suffix)].filter(Boolean).join(" ");
+    });
+    const ids = escapeHTML(cites.map((cite) => cite.id).join(" "));
+    return narrative
+      ? `<span class="citation" data-cites="${ids}">${parts.join("; ")}</span>`
+      : `<span class="citation" data-cites="${ids}">(${parts.join(style.type === "numeric" ? ", " : "; ")})</span>`;
+  }
+
+  function renderBibliography(entries) {
+    const rows = entries.map(([id, {item, number, suffixLetter}]) => {
+      const body = style.bibliography(item, {suffixLetter});
+      return style.type === "numeric"
+        ? `<div class="csl-entry" id="ref-${escapeHTML(id)}"><span class="csl-left-margin">${number}.</span><span class="csl-right-inline">${body}</span></div>`
+        : `<div class="csl-entry" id="ref-${escapeHTML(id)}">${body}</div>`;
+    });
+    const heading = title ? `<h2 id="references">${escapeHTML(title)}</h2>\n` : "";
+    return `<section class="references">\n${heading}<div class="csl-bib-body">\n${rows.join("\n")}\n</div>\n</section>\n`;
+  }
+
+  md.renderer.rules.citation = (tokens, index) => tokens[index].meta.html;
+}
@@ -0,0 +1,115 @@
+// Numbered figure and table captions with cross-references, for markdown-it.
+//
+// A paragraph ending in {#fig:name} or {#tbl:name} becomes a caption, numbered
+// in page order: "Figure: Research funding by source {#fig:funding-flow}"
+// renders as "Figure 1: Research funding by source". The "Figure:" or "Table:"
+// prefix is optional. Anywhere in the text, @fig:funding-flow (or
+// [@fig:funding-flow]) becomes a link reading "Figure 1".
+//
+// The PDF exporter reads the numbers from the rendered captions
+// (.crossref-caption with data-crossref and data-crossref-number), so the web
+// pages and the PDFs always agree.
+
+const KINDS = {
+  fig: {name: "figure", prefix: /^(?:Figure|Fig\.?)\s*:\s*/},
+  tbl: {name: "table", prefix: /^Table\s*:\s*/}
+};
+
+const LABEL = /\s*\{#((fig|tbl):[\w-]+)\}\s*$/;
+const REFERENCE = /\[@(fig|tbl):([\w-]+)\]|@(fig|tbl):([\w-]+)/g;
+
+export default function crossref(md, options = {}) {
+  const labels = {figure: "Figure", table: "Table", ...options.labels};
+  const warn = options.warn || ((message) => console.warn(message));
+
+  md.core.ruler.after("inline", "crossref", (state) => {
+    const captions = new Map();
+    const counters = {fig: 0, tbl: 0};
+
+    // Number the captions first, so references may come before them
+    state.tokens.forEach((token, index) => {
+      const open = state.tokens[index - 1];
+      if (token.type !== "inline" || !open || open.type !== "paragraph_open") return;
+      const children = token.children;
+      const last = children[children.length - 1];
+      const match = last && last.type === "text" && last.content.match(LABEL);
+      if (!match) return;
+
+      const [, id, kind] = match;
+      if (captions.has(id)) {
+        warn(`Duplicate cross-reference label {#${id}}`);
+        return;
+      }
+      last.content = last.content.slice(0, match.index);
+      const first = children[0];
+      if (first && first.type === "text") first.content = first.content.replace(KINDS[kind].prefix, "");
+
+      const number = ++counters[kind];
+      const label = `${labels[KINDS[kind].name]} ${number}`;
+      captions.set(id, label);
+
+      open.attrSet("id", id);
+      open.attrSet("class", `crossref-caption crossref-${KINDS[kind].name}`);
+      open.attrSet("data-crossref", kind);
+      open.attrSet("data-crossref-number", String(number));
+
+      const strong = new state.Token("strong_open", "strong", 1);
+      strong.attrSet("class", "crossref-label");
+      const text = new state.Token("text", "", 0);
+      text.content = `${label}:`;
+      const space = new state.Token("text", "", 0);
+      space.content = " ";
+      children.unshift(strong, text, new state.Token("strong_close", "strong", -1), space);
+    });
+
+    // Then turn @fig:name and @tbl:name into links to the captions
+    for (const token of state.tokens) {
+      if (token.type !== "inline") continue;
+      let inLink = 0;
+      token.children = token.children.flatMap((child) => {
+        if (child.type === "link_open") inLink++;
+        if (child.type === "link_close") inLink--;
+        if (child.type !== "text" || inLink > 0 || !child.content.includes("@")) return [child];
+        return linkReferences(child.content, captions, state, warn);
+      });
+    }
+  });
+}
+
+function linkReferences(content, captions, state, warn) {
+  const tokens = [];
+  const text = (value) => {
+    if (!value) return;
+    const token = new state.Token("text", "", 0);
+    token.content = value;
+    tokens.push(token);
+  };
+
+  let last = 0;
+  for (const match of content.matchAll(REFERENCE)) {
+    // Leave e-mail addresses and the like alone
+    if (match.index > 0 && /[\w.]/.test(content[match.index - 1])) continue;
+    const id = `${match[1] || match[3]}:${match[2] || match[4]}`;
+    text(content.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    if (!captions.has(id)) {
+      warn(`Unresolved cross-reference @${id}`);
+      const open = new state.Token("span_open", "span", 1);
+      open.attrSet("class", "crossref crossref-missing");
+      tokens.push(open);
+      text(`@${id}`);
+      tokens.push(new state.Token("span_close", "span", -1));
+      continue;
+    }
+
+    const open = new state.Token("link_open", "a", 1);
+    open.attrSet("href", `#${id}`);
+    open.attrSet("class", "crossref");
+    tokens.push(open);
+    text(captions.get(id));
+    tokens.push(new state.Token("link_close", "a", -1));
+  }
+  text(content.slice(last));
+  return tokens;
+}
@@ -0,0 +1,60 @@
+// Print mode shared by the components in this folder. When the page is printed
+// (the browser's beforeprint/afterprint events) or exported by the PDF exporter
+// (data-print-mode on <html> and a "printmodechange" event on window), components
+// render a static variant: print-safe colours, solid strokes, larger fonts and
+// values shown directly instead of on hover.
+
+const PRINT_WIDTH = 680;  // Text width of an A4 page with 15mm margins, in CSS pixels
+
+let printing = false;
+if (typeof window !== "undefined") {
+  window.addEventListener("beforeprint", () => printing = true);
+  window.addEventListener("afterprint", () => printing = false);
+}
+
+/**
+ * Whether components should render their print variant
+ * @returns {boolean}
+ */
+export function isPrintMode() {
+  if (typeof document === "undefined") return false;
+  return printing
+    || document.documentElement.dataset.printMode !== undefined
+    || (typeof matchMedia === "function" && matchMedia("print").matches);
+}
+
+/**
+ * Width of the printed page's text area, set by the PDF exporter
+ * @returns {number} - Width in CSS pixels
+ */
+export function printWidth() {
+  return typeof document === "undefined" ? PRINT_WIDTH : Number(document.documentElement.dataset.printWidth) || PRINT_WIDTH;
+}
+
+/**
+ * Render a component now and again whenever print mode switches on or off,
+ * putting the new rendering in place of the old one
+ * @param {Function} render - (print: boolean) → element
+ * @returns {Element} - The first rendering
+ */
+export function printable(render) {
+  let print = isPrintMode();
+  let element = render(print);
+  if (typeof window === "undefined") return element;
+
+  const events = ["beforeprint", "afterprint", "printmodechange"];
+  const update = () => {
+    // Stop once the element has left the page, e.g. when its cell re-ran
+    if (!element.isConnected) {
+      events.forEach(type => window.removeEventListener(type, update));
+      return;
+    }
+    if (isPrintMode() === print) return;
+    print = !print;
+    const next = render(print);
+    element.replaceWith(next);
+    element = next;
+  };
+  events.forEach(type => window.addEventListener(type, update));
+  return element;
+}
@@ -1,197 +1,284 @@
 import * as d3 from "npm:d3";
-import {sankey, sankeyLinkHorizontal} from "npm:d3-sankey";
+import {sankey, sankeyJustify, sankeyLinkHorizontal} from "npm:d3-sankey";
+import {textMeasurer, wrapText, ellipsize} from "./text-metrics.js";
+import {printable, printWidth} from "./print-mode.js";
 
-export function SankeyDiagram(data, {
-  width = 928,  // Standard Observable Framework width
-  height = 750,  // More height for better spacing
-  nodeWidth = 120,  // Width for outer nodes
-  nodeWidthMiddle = 100,  // Width for middle nodes
+// Node colours resolved from the `colors` option: a category maps to one colour,
+// to {id: colour}, or to a palette that is handed out to its nodes in order
+function categoryColors(nodes, category, colors, fallback) {
+  const scales = new Map(Object.entries(colors).map(([key, value]) => {
+    if (typeof value === "string") return [key, () => value];
+    if (Array.isArray(value)) {
+      const scale = d3.scaleOrdinal(value).domain(nodes.filter(d => category(d) === key).map(d => d.id));
+      return [key, d => scale(d.id)];
+    }
+    return [key, d => value[d.id] ?? fallback(d)];
+  }));
+  return d => scales.has(category(d)) ? scales.get(category(d))(d) : fallback(d);
+}
+
+const WIDTH = 928;  // Standard Observable Framework width
+
+export function SankeyDiagram(data, options = {}) {
+  // The print variant is static: solid links, larger labels, values on every
+  // link they fit and no hover or keyboard interaction
+  return printable(print => {
+    if (!print) return renderSankey(data, options, false);
+    const fontSize = (options.fontSize ?? 10) * 1.2;
+    return renderSankey(data, {
+      ...options,
+      width: Math.min(options.width ?? WIDTH, printWidth()),  // Not scaled down to the page, so fonts print at their size
+      fontSize,
+      // Without hover, values go on every link as wide as the text, unless the caller chose a threshold
+      linkLabelMinWidth: options.linkLabelMinWidth ?? options.printLinkLabelMinWidth ?? fontSize,
+      tooltips: false
+    }, true);
+  });
+}
+
+function renderSankey(data, {
+  width = WIDTH,
+  height = 750,  // Minimum height; grows when labels need more room
+  maxHeight = height * 2,  // Labels that still do not fit are ellipsized
+  nodeWidth = 120,  // Width for nodes, unless their column sets one
   nodePadding = 20,  // Increased spacing between nodes
-  margin = {top: 40, right: 10, bottom: 20, left: 10}  // Minimal margins
-} = {}) {
-  
-  // Create SVG container
-  const svg = d3.create("svg")
-    .attr("viewBox", [0, 0, width, height])
-    .attr("width", width)
-    .attr("height", height)
-    .attr("style", "max-width: 100%; height: auto; font: 12px sans-serif;");
+  margin = {top: 40, right: 10, bottom: 20, left: 10},  // Minimal margins
+  fontSize = 10,  // Node label size in pixels
+  maxLabelLines = 3,  // Lines a node is made tall enough to show
+  measureText = textMeasurer(`${fontSize}px sans-serif`),  // Text → width in pixels
+  category = d => d.category,  // Node → category, used by columns and colors
+  columns,  // [{categories, label, nodeWidth}] left to right; otherwise columns follow the flow
+  labels,  // Column header labels, overriding the columns' own
+  colors = {},  // Category → colour, {id: colour} or palette
+  color,  // Node → colour, overrides colors
+  linkColor,  // Link → colour, defaults to the source node's colour
+  format = ",",  // Value formatter: a d3-format specifier or value → string
+  unit,  // Unit label after values, e.g. "million"
+  nodeTotals = true,  // Show each node's total under its label
+  linkLabelMinWidth = 16,  // Print values on links at least this wide; Infinity for none
+  tooltips = true,  // Show values and shares of each flow on hover and focus
+  table = false  // Add a data table of all flows after the chart
+} = {}, print = false) {
 
-  // Create sankey layout with custom node width function
-  const sankeyLayout = sankey()
+  // Values are shown with the formatter and unit, shares of a node's flow as percentages
+  const formatNumber = typeof format === "function" ? format : d3.format(format);
+  const formatValue = value => unit ? `${formatNumber(value)} ${unit}` : formatNumber(value);
+  const formatShare = d3.format(".1~%");
+  const inflow = d => d3.sum(d.targetLinks, l => l.value);
+  const outflow = d => d3.sum(d.sourceLinks, l => l.value);
+  const countNodes = n => `${n} ${n === 1 ? "node" : "nodes"}`;
+
+  // Nodes go in the column that lists their category, others where the flow puts them
+  const columnOf = d => columns ? columns.findIndex(column => [].concat(column.categories).includes(category(d))) : -1;
+  const headerLabels = labels || (columns ? columns.map(column => column.label) : []);
+  const top = margin.top + (headerLabels.some(Boolean) ? 20 : 0);  // Leave space for headers
+
+  // Run the sankey layout with a given height for the nodes
+  const layout = innerHeight => sankey()
     .nodeId(d => d.id)
+    .nodeAlign((d, n) => columnOf(d) >= 0 ? columnOf(d) : sankeyJustify(d, n))
     .nodeWidth(nodeWidth)
     .nodePadding(nodePadding)
-    .extent([[margin.left, margin.top], [width - margin.right, height - margin.bottom - margin.top]]);
+    .extent([[margin.left, top], [width - margin.right, top + innerHeight]])({
+      nodes: data.nodes.map(d => Object.assign({}, d)),
+      links: data.links.map(d => Object.assign({}, d))
+    });
 
-  // Process data
-  const {nodes, links} = sankeyLayout({
-    nodes: data.nodes.map(d => Object.assign({}, d)),
-    links: data.links.map(d => Object.assign({}, d))
-  });
+  // Node labels are set inside the node, with padding on each side
+  const lineHeight = fontSize * 1.15;
+  const labelPadding = {x: 10, y: 4};
+  const widthOf = node => {
+    const column = columns && columns[node.layer];
+    return column && column.nodeWidth && columnOf(node) === node.layer ? column.nodeWidth : nodeWidth;
+  };
+  const labelWidth = node => widthOf(node) - 2 * labelPadding.x;
+  const labelHeight = lines => lines * lineHeight + 2 * labelPadding.y;
+  const fullLines = node => node.shortName
+    ? String(node.shortName).split("\n")
+    : wrapText(node.name, labelWidth(node), measureText);
 
-  // Save relative link positions before any adjustments
-  links.forEach(link => {
-    // Calculate relative position within source node (0 = top, 1 = bottom)
-    link.sy = (link.y0 - link.source.y0) / (link.source.y1 - link.source.y0) || 0.5;
-    // Calculate relative position within target node
-    link.ty = (link.y1 - link.target.y0) / (link.target.y1 - link.target.y0) || 0.5;
-  });
-  
-  // Adjust widths for middle column nodes only
-  nodes.forEach(node => {
-    if (node.category === "pillar") {
-      const currentWidth = node.x1 - node.x0;
-      const widthDiff = (currentWidth - nodeWidthMiddle) / 2;
-      node.x0 += widthDiff;
-      node.x1 -= widthDiff;
-    }
-  });
-  
-  // Apply minimum height to ensure text fits, expanding from center
-  const minNodeHeight = 50; // Enough for 3-4 lines of wrapped text
+  let {nodes, links} = layout(height - top - margin.bottom);
+
+  // Node heights stay proportional to value, so if a label does not fit its
+  // node, scale every node up (making the chart taller) rather than that one
+  const scale = d3.min(nodes.filter(d => d.value > 0), d => (d.y1 - d.y0) / d.value);
+  const neededScale = d3.max(nodes.filter(d => d.value > 0), d =>
+    labelHeight(Math.min(fullLines(d).length, maxLabelLines) + (nodeTotals ? 1 : 0)) / d.value);
+  if (neededScale > scale) {
+    const columnHeight = columnNodes => d3.sum(columnNodes, d => d.value) * neededScale + (columnNodes.length - 1) * nodePadding;
+    const innerHeight = d3.max(d3.group(nodes, d => d.layer).values(), columnHeight);
+    ({nodes, links} = layout(Math.min(innerHeight, maxHeight - top - margin.bottom)));
+  }
+  const chartHeight = Math.max(height, Math.ceil(d3.max(nodes, d => d.y1) + margin.bottom));
+
+  // Narrow the nodes of columns with their own width, keeping them centred
   nodes.forEach(node => {
-    const currentHeight = node.y1 - node.y0;
-    if (currentHeight < minNodeHeight) {
-      const center = (node.y0 + node.y1) / 2;
-      node.y0 = center - minNodeHeight / 2;
-      node.y1 = center + minNodeHeight / 2;
-    }
-  });
-  
-  // Only fix actual overlaps in each column with minimal movement
-  const columns = d3.group(nodes, d => Math.round(d.x0));
-  columns.forEach(columnNodes => {
-    columnNodes.sort((a, b) => a.y0 - b.y0);
-    
-    for (let i = 1; i < columnNodes.length; i++) {
-      const prevNode = columnNodes[i - 1];
-      const currNode = columnNodes[i];
-      const minGap = 5; // Small gap between nodes
-      
-      if (currNode.y0 < prevNode.y1 + minGap) {
-        const overlap = (prevNode.y1 + minGap) - currNode.y0;
-        // Only move the current node down, don't adjust previous nodes
-        currNode.y0 += overlap;
-        currNode.y1 += overlap;
-      }
-    }
-  });
-  
-  // Align columns vertically to prevent CHM from being too high
-  const columnGroups = Array.from(d3.group(nodes, d => Math.round(d.x0)).values());
-  const targetTop = margin.top + 20; // Leave space for headers
-  
-  columnGroups.forEach(columnNodes => {
-    const currentTop = d3.min(columnNodes, n => n.y0);
-    if (currentTop < targetTop) {
-      const adjustment = targetTop - currentTop;
-      columnNodes.forEach(node => {
-        node.y0 += adjustment;
-        node.y1 += adjustment;
-      });
-    }
-  });
-  
-  // Recalculate link positions using saved relative positions
-  links.forEach(link => {
-    // Use the saved relative positions to maintain link distribution
-    link.y0 = link.source.y0 + (link.source.y1 - link.source.y0) * link.sy;
-    link.y1 = link.target.y0 + (link.target.y1 - link.target.y0) * link.ty;
+    const currentWidth = node.x1 - node.x0;
+    const widthDiff = (currentWidth - widthOf(node)) / 2;
+    node.x0 += widthDiff;
+    node.x1 -= widthDiff;
   });
 
-  // Create harmonious color palette for OA components using blue-green spectrum
-  const oaComponents = [
-    "spatial-framework", "env-assets", "social-conditions", "produced-assets",
-    "economic-flows", "social-activities", "env-flows", "pollution",
-    "monetary-flows", "feedbacks", "final-services", "intermediate-services"
-  ];
-  
-  // Light palette optimized for black text
-  const oaColors = d3.scaleOrdinal()
-    .domain(oaComponents)
-    .range([
-      "#c6dbef",  // Spatial - Very light blue
-      "#b3d3e8",  // Env Assets - Light blue
-      "#9ecae1",  // Social - Light blue
-      "#85bcdb",  // Produced - Soft blue
-      "#b2df8a",  // Economic - Light green
-      "#a1d99b",  // Social Act - Light green
-      "#90d17f",  // Env Flows - Soft green
-      "#7fc97f",  // Pollution - Light green
-      "#deebf7",  // Monetary - Palest blue
-      "#eff3ff",  // Feedbacks - Nearly white blue
-      "#c7e9b4",  // Final Services - Pale green
-      "#e5f5e0"   // Intermediate - Palest green
-    ]);
-  
-  // Create colors for BBNJ pillars
-  const pillarColors = d3.scaleOrdinal()
-    .domain(["mgr-pillar", "abmt-pillar", "eia-pillar", "cbtt-pillar"])
-    .range([
-      "#fdbf6f",  // MGR - Light orange
-      "#cab2d6",  // ABMT - Light purple  
-      "#fb9a99",  // EIA - Light pink/coral
-      "#b2df8a"   // CBTT - Light green
-    ]);
-  
-  // Node colors based on category
-  const nodeColor = (d) => {
-    if (d.category === "oa") return oaColors(d.id);
-    if (d.category === "pillar") return pillarColors(d.id);
-    if (d.category === "chm") return "#f0f0f0";  // Light gray for CHM
-    return "#ccc";
-  };
+  // Create SVG container
+  const svg = d3.create("svg")
+    .attr("viewBox", [0, 0, width, chartHeight])
+    .attr("width", width)
+    .attr("height", chartHeight)
+    .attr("style", "max-width: 100%; height: auto; font: 12px sans-serif;");
+
+  // Node colors: the color accessor, then the category mapping, then a light
+  // palette by category (or id) that keeps black text readable
+  const palette = d3.scaleOrdinal(d3.schemeSet3);
+  const nodeColor = color || categoryColors(nodes, category, colors, d => palette(category(d) ?? d.id));
+  const linkStroke = linkColor || (d => nodeColor(d.source));
 
-  // Add gradient definitions
-  const defs = svg.append("defs");
-  
-  // No gradients needed - links will use source color directly
+  // Accessible descriptions with each node's and flow's value
+  const listFlows = (flows, end) => flows.map(l => `${l[end].name} (${formatValue(l.value)})`).join(", ");
+  const describeLink = d => `${d.source.name} → ${d.target.name}: ${formatValue(d.value)} ` +
+    `(${formatShare(d.value / outflow(d.source))} of outflow from ${d.source.name}, ` +
+    `${formatShare(d.value / inflow(d.target))} of inflow to ${d.target.name})`;
+  const describeNode = d => [
+    `${d.name}: ${formatValue(d.value)}`,
+    d.targetLinks.length ? `from ${listFlows(d.targetLinks, "source")}` : null,
+    d.sourceLinks.length ? `to ${listFlows(d.sourceLinks, "target")}` : null
+  ].filter(Boolean).join("; ");
+
+  svg
+    .attr("role", "group")
+    .attr("aria-roledescription", "Sankey diagram")
+    .attr("aria-label", `Sankey diagram of ${links.length} flows between ${nodes.length} nodes.` + (print ? "" :
+      " Use the arrow keys to move between connected nodes and Enter to pin a node's flows."));
 
   // Add links - colored by source node with borders
   const link = svg.append("g")
     .attr("fill", "none")
     .selectAll("g")
     .data(links)
-    .join("g");
-  
-  // Add black border for each link (hidden by default, shown on hover)
+    .join("g")
+    .attr("role", "img")
+    .attr("aria-label", describeLink);
+
+  // Add black border for each link (hidden on screen until hover, always shown in print)
   link.append("path")
     .attr("d", sankeyLinkHorizontal())
     .attr("stroke", "#000")
     .attr("stroke-width", d => Math.max(1, d.width) + 0.5)
-    .attr("opacity", 0)
+    .attr("opacity", print ? 1 : 0)
     .attr("class", "link-border");
-  
-  // Add colored link
-  link.append("path")
+
+  // Add colored link, solid in print
+  const linkPath = link.append("path")
     .attr("d", sankeyLinkHorizontal())
-    .attr("stroke", d => {
-      // Use the color of the source node
-      if (d.source.category === "oa") {
-        return oaColors(d.source.id);
-      }
-      // For links from pillars, use the pillar's color
-      if (d.source.category === "pillar") {
-        return pillarColors(d.source.id);
-      }
-      return "#999";  // Default gray
-    })
+    .attr("stroke", linkStroke)
     .attr("stroke-width", d => Math.max(1, d.width))
-    .attr("opacity", 0.5)
-    .attr("class", "link-path")
-    .on("mouseover", function() {
-      d3.select(this).attr("opacity", 0.8);
-    })
-    .on("mouseout", function() {
-      d3.select(this).attr("opacity", 0.5);
-    });
+    .attr("opacity", print ? 1 : 0.5)
+    .attr("class", "link-path");
+
+  if (!print) {
+    linkPath
+      .on("mouseover", function() {
+        d3.select(this).attr("opacity", 0.8);
+      })
+      .on("mouseover.tooltip mousemove.tooltip", (event, d) => {
+        const [x, y] = d3.pointer(event, svg.node());
+        showTooltip([
+          `${d.source.name} → ${d.target.name}`,
+          formatValue(d.value),
+          `${formatShare(d.value / outflow(d.source))} of outflow from ${d.source.name}`,
+          `${formatShare(d.value / inflow(d.target))} of inflow to ${d.target.name}`
+        ], x, y);
+      })
+      .on("mouseout", function() {
+        d3.select(this).attr("opacity", 0.5);
+        hideTooltip();
+      });
+  }
+
+  // Add link titles, unless the tooltip shows the same
+  if (!tooltips) {
+    link.append("title")
+      .text(describeLink);
+  }
+
+  // Print values on links wide enough to hold them, where they fit between the columns
+  svg.append("g")
+    .style("pointer-events", "none")
+    .selectAll("text")
+    .data(links.filter(d => d.width >= linkLabelMinWidth &&
+      measureText(formatValue(d.value)) + 8 <= d.target.x0 - d.source.x1))
+    .join("text")
+    .attr("class", "link-label")
+    .attr("x", d => (d.source.x1 + d.target.x0) / 2)
+    .attr("y", d => (d.y0 + d.y1) / 2)
+    .attr("dy", "0.35em")
+    .attr("text-anchor", "middle")
+    .attr("aria-hidden", "true")
+    .style("fill", "#333")
+    .style("font-family", "sans-serif", "important")
+    .style("font-size", `${fontSize}px`, "important")
+    .style("paint-order", "stroke")
+    .style("stroke", "#fff")
+    .style("stroke-width", 3)
+    .text(d => formatValue(d.value));
+
+  // Highlighting follows the pointer or keyboard focus; a pinned node (tap,
+  // click, Enter or Space) stays highlighted until it is unpinned
+  let pinned = null;
+  const isConnected = (a, b) => a === b || links.some(l =>
+    (l.source === a && l.target === b) || (l.target === a && l.source === b));
+
+  function highlight(d) {
+    if (!d) {
+      svg.selectAll(".link-border").attr("opacity", 0);
+      svg.selectAll(".link-path").attr("opacity", 0.5);
+      svg.selectAll(".node").attr("opacity", 1).attr("stroke-width", 0.5);
+      svg.selectAll(".node-label").attr("opacity", 1);
+      svg.selectAll(".link-label").attr("opacity", 1);
+      return;
+    }
+
+    // Show black borders for connected links and fade non-connected
+    svg.selectAll(".link-border")
+      .attr("opacity", l => l.source === d || l.target === d ? 1 : 0);
+
+    // Fade non-connected colored links significantly
+    svg.selectAll(".link-path")
+      .attr("opacity", l => l.source === d || l.target === d ? 1 : 0.02);
+
+    // Fade non-connected nodes and their text significantly
+    svg.selectAll(".node")
+      .attr("opacity", n => isConnected(d, n) ? 1 : 0.08)
+      .attr("stroke-width", n => n === d ? 2 : 0.5);
+    svg.selectAll(".node-label")
+      .attr("opacity", n => isConnected(d, n) ? 1 : 0.08);
+    svg.selectAll(".link-label")
+      .attr("opacity", l => l.source === d || l.target === d ? 1 : 0.08);
+  }
 
-  // Add link titles
-  link.append("title")
-    .text(d => `${d.source.name} → ${d.target.name}`);
+  function pin(d) {
+    pinned = d;
+    node.attr("aria-pressed", n => n === pinned);
+  }
 
-  // Add nodes with hover interactions
+  // Arrow keys: left and right follow the largest flow into and out of the
+  // node, up and down move within its column
+  const byColumn = d3.group(nodes.slice().sort((a, b) => a.y0 - b.y0), d => d.layer);
+  function neighbour(d, key) {
+    const column = byColumn.get(d.layer);
+    const largest = (flows, end) => flows.length ? d3.greatest(flows, l => l.value)[end] : null;
+    switch (key) {
+      case "ArrowRight": return largest(d.sourceLinks, "target");
+      case "ArrowLeft": return largest(d.targetLinks, "source");
+      case "ArrowDown": return column[column.indexOf(d) + 1] || null;
+      case "ArrowUp": return column[column.indexOf(d) - 1] || null;
+      case "Home": return nodes[0];
+      case "End": return nodes[nodes.length - 1];
+      default: return null;
+    }
+  }
+
+  // Add nodes with hover, focus and tap interactions; only one node is in the
+  // tab order at a time and the arrow keys move between them
   const node = svg.append("g")
     .selectAll("rect")
     .data(nodes)
@@ -200,149 +287,132 @@ export function SankeyDiagram(data, {
     .attr("y", d => d.y0)
     .attr("height", d => d.y1 - d.y0)
     .attr("width", d => d.x1 - d.x0)
-    .attr("fill", d => nodeColor(d))
+    .attr("fill", nodeColor)
     .attr("opacity", 1)
     .attr("stroke", "#000")
     .attr("stroke-width", 0.5)
     .attr("stroke-opacity", 1)
     .attr("class", "node")
-    .on("mouseover", function(event, d) {
-      // Show black borders for connected links and fade non-connected
-      svg.selectAll(".link-border")
-        .attr("opacity", linkData => {
-          if (linkData.source === d || linkData.target === d) {
-            return 1;  // Full opacity for black border
-          }
-          return 0;  // Hide for non-connected
-        });
-      
-      // Fade non-connected colored links significantly
-      svg.selectAll(".link-path")
-        .attr("opacity", linkData => {
-          // Full opacity for connected links, fade others
-          if (linkData.source === d || linkData.target === d) {
-            return 1;  // Full opacity
+    .attr("aria-label", describeNode);
+
+  if (print) {
+    node.attr("role", "img");
+  } else {
+    node
+      .attr("role", "button")
+      .attr("aria-pressed", false)
+      .attr("tabindex", (d, i) => i === 0 ? 0 : -1)
+      .style("outline", "none")  // Focus is shown by the highlight
+      .on("mouseover focus", (event, d) => {
+        highlight(d);
+        showTooltip([
+          d.name,
+          `Total: ${formatValue(d.value)}`,
+          d.targetLinks.length ? `In: ${formatValue(inflow(d))} from ${countNodes(d.targetLinks.length)}` : null,
+          d.sourceLinks.length ? `Out: ${formatValue(outflow(d))} to ${countNodes(d.sourceLinks.length)}` : null
+        ].filter(Boolean), d.x1 + 4, d.y0);
+      })
+      .on("mouseout blur", () => {
+        highlight(pinned);
+        hideTooltip();
+      })
+      .on("focus.roving", function() {
+        node.attr("tabindex", -1);
+        d3.select(this).attr("tabindex", 0);
+      })
+      .on("click", (event, d) => {
+        event.stopPropagation();
+        pin(pinned === d ? null : d);
+        highlight(pinned || d);
+      })
+      .on("keydown", (event, d) => {
+        if (event.key === "Enter" || event.key === " ") {
+          event.preventDefault();
+          pin(pinned === d ? null : d);
+          highlight(pinned || d);
+        } else if (event.key === "Escape") {
+          pin(null);
+          highlight(d);
+        } else {
+          const next = neighbour(d, event.key);
+          if (next) {
+            event.preventDefault();
+            node.filter(n => n === next).node().focus();
           }
-          return 0.02;  // Almost invisible for non-connected
-        });
-      
-      // Fade non-connected nodes significantly
-      svg.selectAll(".node")
-        .attr("opacity", nodeData => {
-          if (nodeData === d) return 1;
-          // Check if connected
-          const isConnected = links.some(l => 
-            (l.source === d && l.target === nodeData) ||
-            (l.target === d && l.source === nodeData)
-          );
-          return isConnected ? 1 : 0.08;  // Much fainter for non-connected
-        });
-      
-      // Fade text for non-connected nodes
-      svg.selectAll(".node-label")
-        .attr("opacity", nodeData => {
-          if (nodeData === d) return 1;
-          const isConnected = links.some(l => 
-            (l.source === d && l.target === nodeData) ||
-            (l.target === d && l.source === nodeData)
-          );
-          return isConnected ? 1 : 0.08;  // Much fainter
-        });
-    })
-    .on("mouseout", function() {
-      // Hide all link borders
-      svg.selectAll(".link-border")
-        .attr("opacity", 0);
-      
-      // Reset all colored links to normal
-      svg.selectAll(".link-path")
-        .attr("opacity", 0.5);
-      
-      // Reset all nodes to normal
-      svg.selectAll(".node")
-        .attr("opacity", 1);
-      
-      // Reset all text to normal
-      svg.selectAll(".node-label")
-        .attr("opacity", 1);
+        }
+      });
+
+    // Tapping or clicking outside the nodes unpins
+    svg.on("click", () => {
+      pin(null);
+      highlight(null);
     });
+  }
 
-  // Add node titles
-  node.append("title")
-    .text(d => d.name);
+  // Add node titles, unless the tooltip shows the same
+  if (!tooltips) {
+    node.append("title")
+      .text(describeNode);
+  }
 
-  // Add node labels - different handling for middle column
-  const labels = svg.append("g")
-    .style("font", "11px sans-serif")
+  // Add node labels
+  const nodeLabels = svg.append("g")
     .style("pointer-events", "none")  // Prevent text from interfering with mouse events
     .selectAll("g")
     .data(nodes)
     .join("g")
     .attr("class", "node-label");
 
-  // All labels inside nodes with text wrapping
-  labels.each(function(d) {
-    const group = d3.select(this);
-    const text = group.append("text")
+  // All labels inside nodes, wrapped to the lines that fit the node, with the total below
+  nodeLabels.each(function(d) {
+    const maxLines = Math.max(1, Math.floor((d.y1 - d.y0 - 2 * labelPadding.y) / lineHeight) - (nodeTotals ? 1 : 0));
+    const lines = d.shortName
+      ? fullLines(d).map(line => ellipsize(line, labelWidth(d), measureText))
+      : wrapText(d.name, labelWidth(d), measureText, {maxLines});
+    if (lines.length > maxLines) {
+      lines.splice(maxLines - 1, Infinity, ellipsize(lines[maxLines - 1], labelWidth(d), measureText, true));
+    }
+
+    // The font is set as important so print stylesheets cannot change it
+    // from the one the labels were measured in
+    const text = d3.select(this).append("text")
       .attr("x", (d.x0 + d.x1) / 2)
       .attr("y", (d.y1 + d.y0) / 2)
       .attr("text-anchor", "middle")
       .style("fill", "#333")  // All black text for readability
-      .style("font-weight", "normal")  // Remove bold
-      .style("font-size", "10px");  // Uniform size for all nodes
-
-    // Split text into lines for wrapping
-    const words = d.name.split(/[\s&]+/);  // Also split on &
-    const lineHeight = 1.15;
-    const maxWidth = (d.x1 - d.x0) - 20; // more padding
-    
-    let line = [];
-    let lineNumber = 0;
-    const lines = [];
-    
-    // Better text wrapping algorithm
-    words.forEach(word => {
-      line.push(word);
-      const testLine = line.join(" ");
-      const testWidth = testLine.length * 7; // better approximation
-      
-      if (testWidth > maxWidth && line.length > 1) {
-        line.pop();
-        lines.push(line.join(" "));
-        line = [word];
-        lineNumber++;
-      }
-    });
-    if (line.length > 0) {
-      lines.push(line.join(" "));
+      .style("font-family", "sans-serif", "important")
+      .style("font-size", `${fontSize}px`, "important")
+      .style("font-weight", "normal", "important");
+
+    if (nodeTotals) {
+      lines.push(ellipsize(formatValue(d.value), labelWidth(d), measureText));
     }
-    
-    // For middle nodes with shortName, use that instead
-    const finalLines = d.shortName ? d.shortName.split('\n') : lines;
-    
-    // Add tspans for each line
-    text.text(null);
-    finalLines.forEach((line, i) => {
+
+    // Add tspans for each line, centred on the node
+    lines.forEach((line, i) => {
       text.append("tspan")
         .attr("x", (d.x0 + d.x1) / 2)
         .attr("y", (d.y1 + d.y0) / 2)
-        .attr("dy", `${(i - (finalLines.length - 1) / 2) * lineHeight}em`)
+        .attr("dy", (i - (lines.length - 1) / 2) * lineHeight + 0.35 * fontSize)
+        .style("fill", nodeTotals && i === lines.length - 1 ? "#666" : null)
         .text(line);
     });
   });
 
-  // Add category labels
-  const categoryLabels = [
-    {text: "Ocean Accounts", x: margin.left + nodeWidth/2, y: 25},
-    {text: "BBNJ Pillars", x: width / 2, y: 25},
-    {text: "CHM Functions", x: width - margin.right - nodeWidth/2, y: 25}
-  ];
+  // Add column headers, centred over each column's nodes
+  const columnHeaders = Array.from(d3.group(nodes, d => d.layer).values())
+    .map(columnNodes => ({
+      text: headerLabels[columnNodes[0].layer],
+      x: (d3.min(columnNodes, d => d.x0) + d3.max(columnNodes, d => d.x1)) / 2,
+      y: margin.top - 15
+    }))
+    .filter(d => d.text);
 
   svg.append("g")
     .style("font", "14px sans-serif")
     .style("font-weight", "normal")
     .selectAll("text")
-    .data(categoryLabels)
+    .data(columnHeaders)
     .join("text")
     .attr("x", d => d.x)
     .attr("y", d => d.y)
@@ -350,5 +420,71 @@ export function SankeyDiagram(data, {
     .text(d => d.text)
     .style("fill", "#444");
 
-  return svg.node();
-}
\ No newline at end of file
+  // Tooltip drawn in the SVG, kept inside it and on top of everything else
+  const tooltip = svg.append("g")
+    .attr("class", "sankey-tooltip")
+    .attr("aria-hidden", "true")
+    .style("pointer-events", "none")
+    .style("display", "none");
+  const tooltipBox = tooltip.append("rect")
+    .attr("rx", 3)
+    .attr("fill", "#fff")
+    .attr("stroke", "#999")
+    .attr("stroke-width", 0.5);
+  const tooltipText = tooltip.append("text")
+    .style("fill", "#222")
+    .style("font-family", "sans-serif", "important")
+    .style("font-size", `${fontSize}px`, "important");
+
+  function showTooltip(lines, x, y) {
+    if (!tooltips) return;
+    const boxWidth = d3.max(lines, line => measureText(line)) + 12;
+    const boxHeight = lines.length * lineHeight + 8;
+    tooltipText.selectAll("tspan")
+      .data(lines)
+      .join("tspan")
+      .attr("x", 6)
+      .attr("y", (line, i) => 4 + (i + 0.8) * lineHeight)
+      .style("font-weight", (line, i) => i === 0 ? "bold" : null)
+      .text(line => line);
+    tooltipBox.attr("width", boxWidth).attr("height", boxHeight);
+    tooltip
+      .attr("transform", `translate(${Math.max(0, Math.min(x + 8, width - boxWidth))},${Math.max(0, Math.min(y + 8, chartHeight - boxHeight))})`)
+      .style("display", null);
+  }
+
+  function hideTooltip() {
+    tooltip.style("display", "none");
+  }
+
+  if (!table) return svg.node();
+
+  // The data table sits in a <details> element after the chart
+  const container = d3.create("div")
+    .attr("class", "sankey-diagram");
+  container.append(() => svg.node());
+  const details = container.append("details")
+    .attr("class", "sankey-table")
+    .attr("open", print ? "" : null);
+  details.append("summary")
+    .text("Data table");
+  const flows = details.append("table");
+  flows.append("caption")
+    .text(`${links.length} flows between ${nodes.length} nodes`);
+  flows.append("thead").append("tr")
+    .selectAll("th")
+    .data(["From", "To", unit ? `Value (${unit})` : "Value"])
+    .join("th")
+    .attr("scope", "col")
+    .style("text-align", (d, i) => i === 2 ? "right" : null)
+    .text(d => d);
+  const rows = flows.append("tbody")
+    .selectAll("tr")
+    .data(links)
+    .join("tr");
+  rows.append("td").text(d => d.source.name);
+  rows.append("td").text(d => d.target.name);
+  rows.append("td").style("text-align", "right").text(d => formatNumber(d.value));
+
+  return container.node();
+}
@@ -0,0 +1,39 @@
+// Options for SankeyDiagram that reproduce a dataset's established look;
+// spread one into the options and override what differs:
+//   SankeyDiagram(data, {...oceanAccountsPreset, height: 600})
+
+// Ocean Accounts components → BBNJ pillars → Clearing-House Mechanism functions
+export const oceanAccountsPreset = {
+  columns: [
+    {categories: "oa", label: "Ocean Accounts"},
+    {categories: "pillar", label: "BBNJ Pillars", nodeWidth: 100},
+    {categories: "chm", label: "CHM Functions"}
+  ],
+  colors: {
+    // Light blue-green palette optimized for black text
+    oa: {
+      "spatial-framework": "#c6dbef",  // Very light blue
+      "env-assets": "#b3d3e8",  // Light blue
+      "social-conditions": "#9ecae1",  // Light blue
+      "produced-assets": "#85bcdb",  // Soft blue
+      "economic-flows": "#b2df8a",  // Light green
+      "social-activities": "#a1d99b",  // Light green
+      "env-flows": "#90d17f",  // Soft green
+      "pollution": "#7fc97f",  // Light green
+      "monetary-flows": "#deebf7",  // Palest blue
+      "feedbacks": "#eff3ff",  // Nearly white blue
+      "final-services": "#c7e9b4",  // Pale green
+      "intermediate-services": "#e5f5e0"  // Palest green
+    },
+    pillar: {
+      "mgr-pillar": "#fdbf6f",  // Light orange
+      "abmt-pillar": "#cab2d6",  // Light purple
+      "eia-pillar": "#fb9a99",  // Light pink/coral
+      "cbtt-pillar": "#b2df8a"  // Light green
+    },
+    chm: "#f0f0f0"  // Light gray
+  },
+  // Links show connections rather than amounts
+  nodeTotals: false,
+  linkLabelMinWidth: Infinity
+};
@@ -0,0 +1,115 @@
+// Text measurement and wrapping for SVG labels, which have no layout of their own
+
+// Helvetica/Arial advance widths for ASCII 32-126, in 1/1000 em
+const SANS_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const WIDE_WIDTH = 1000;  // Ellipsis, CJK and other wide characters
+const DEFAULT_WIDTH = 556;
+
+function metricsWidth(text, size) {
+  let width = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    width += code >= 32 && code <= 126 ? SANS_WIDTHS[code - 32]
+      : char === "…" || code >= 0x2e80 ? WIDE_WIDTH
+      : DEFAULT_WIDTH;
+  }
+  return width * size / 1000;
+}
+
+// OffscreenCanvas exists in browsers, including the headless Chromium the PDF
+// exporter prints with; server-side renderers fall back to the metrics table
+function canvasContext(font) {
+  if (typeof OffscreenCanvas === "undefined") return null;
+  const context = new OffscreenCanvas(1, 1).getContext("2d");
+  if (context) context.font = font;
+  return context;
+}
+
+/**
+ * A function that measures the width of text set in a font
+ * @param {string} font - CSS font shorthand, e.g. "10px sans-serif"
+ * @returns {Function} - text → width in pixels
+ */
+export function textMeasurer(font = "10px sans-serif") {
+  const context = canvasContext(font);
+  const size = parseFloat((/([\d.]+)px/.exec(font) || [])[1]) || 10;
+  const widths = new Map();
+  return text => {
+    if (!widths.has(text)) {
+      widths.set(text, context ? context.measureText(text).width : metricsWidth(text, size));
+    }
+    return widths.get(text);
+  };
+}
+
+/**
+ * Shorten text with an ellipsis until it fits
+ * @param {string} text - Text to fit
+ * @param {number} width - Available width in pixels
+ * @param {Function} measure - From textMeasurer
+ * @param {boolean} force - Add the ellipsis even if the text fits, to mark text left out
+ * @returns {string} - The text, or a prefix of it ending in "…"
+ */
+export function ellipsize(text, width, measure, force = false) {
+  if (!force && measure(text) <= width) return text;
+  let kept = text.replace(/-$/, "");
+  while (kept && measure(`${kept.trimEnd()}…`) > width) {
+    kept = kept.slice(0, -1);
+  }
+  return `${kept.trimEnd()}…`;
+}
+
+// Where to split a word too wide for a line: after one of its own hyphens if
+// possible, otherwise before the widest prefix that fits with a hyphen added
+function breakPoint(word, width, measure) {
+  for (let i = word.length - 1; i > 0; i--) {
+    if (word[i - 1] === "-" && measure(word.slice(0, i)) <= width) return i;
+  }
+  for (let i = word.length - 2; i >= 2; i--) {
+    if (measure(`${word.slice(0, i)}-`) <= width) return i;
+  }
+  return 0;
+}
+
+/**
+ * Wrap text into lines no wider than width, hyphenating words that do not fit
+ * on a line of their own and ellipsizing the last line if there are too many
+ * @param {string} text - Text to wrap
+ * @param {number} width - Line width in pixels
+ * @param {Function} measure - From textMeasurer
+ * @param {Object} options - { maxLines }
+ * @returns {Array<string>} - Lines
+ */
+export function wrapText(text, width, measure, {maxLines = Infinity} = {}) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (measure(candidate) <= width) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word;
+    while (measure(line) > width) {
+      const cut = breakPoint(line, width, measure);
+      if (!cut) break;
+      lines.push(line[cut - 1] === "-" ? line.slice(0, cut) : `${line.slice(0, cut)}-`);
+      line = line.slice(cut);
+    }
+  }
+  if (line) lines.push(line);
+
+  const kept = lines.slice(0, Math.max(1, maxLines)).map(line => ellipsize(line, width, measure));
+  if (lines.length > kept.length) {
+    kept[kept.length - 1] = ellipsize(lines[kept.length - 1], width, measure, true);
+  }
+  return kept;
+}
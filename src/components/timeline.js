@@ -1,16 +1,19 @@
 import * as Plot from "npm:@observablehq/plot";
+import {printable, printWidth} from "./print-mode.js";
 
 export function Timeline(events, {width, height} = {}) {
-  return Plot.plot({
-    width,
+  // In print the timeline spans the page's text width, in black with larger text
+  return printable(print => Plot.plot({
+    width: print ? printWidth() : width,
     height,
     marginTop: 30,
+    style: print ? {color: "#000", background: "#fff", fontSize: "12px"} : undefined,
     x: {nice: true, label: null, tickFormat: ""},
     y: {axis: null},
     marks: [
       Plot.ruleX(events, {x: "year", y: "y", markerEnd: "dot", strokeWidth: 2.5}),
       Plot.ruleY([0]),
-      Plot.text(events, {x: "year", y: "y", text: "name", lineAnchor: "bottom", dy: -10, lineWidth: 10, fontSize: 12})
+      Plot.text(events, {x: "year", y: "y", text: "name", lineAnchor: "bottom", dy: -10, lineWidth: 10, fontSize: print ? 14 : 12})
     ]
-  });
+  }));
 }